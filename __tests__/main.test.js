@@ -1,8 +1,10 @@
-const mockSend = jest.fn();
+const mockSend = jest.fn(() => Promise.resolve(true));
 const mockOn = jest.fn();
 const mockDestroy = jest.fn();
 const mockSetVariableDefinitions = jest.fn();
 const mockSetVariableValues = jest.fn();
+const mockSetCustomVariableValue = jest.fn();
+const mockSockets = [];
 let InstanceClass;
 
 jest.mock("@companion-module/base", () => {
@@ -14,20 +16,28 @@ jest.mock("@companion-module/base", () => {
     setFeedbackDefinitions(defs) {
       this.feedbackDefinitions = defs;
     }
+    setPresetDefinitions(defs) {
+      this.presetDefinitions = defs;
+    }
     setVariableDefinitions(defs) {
       mockSetVariableDefinitions(defs);
     }
     setVariableValues(vals) {
       mockSetVariableValues(vals);
     }
+    setCustomVariableValue(name, value) {
+      mockSetCustomVariableValue(name, value);
+    }
     checkFeedbacks() {}
     checkFeedbacksById() {}
     updateStatus() {}
     log() {}
   }
   class MockTCPHelper {
-    constructor() {
-      this.send = mockSend;
+    constructor(host) {
+      this.host = host;
+      this.send = jest.fn((data) => mockSend(data));
+      mockSockets.push(this);
       this.on = (evt, cb) => {
         mockOn(evt, cb);
         if (evt === "connect") {
@@ -53,15 +63,117 @@ jest.mock("@companion-module/base", () => {
   };
 });
 
+const mockSerialPorts = [];
+jest.mock("serialport", () => {
+  const EventEmitter = require("events");
+  class MockSerialPort extends EventEmitter {
+    constructor(options) {
+      if (options.path === "/dev/invalid") {
+        throw new TypeError('"path" is not a valid device');
+      }
+      super();
+      this.options = options;
+      this.isOpen = false;
+      this.write = jest.fn((data, cb) => cb());
+      this.close = jest.fn();
+      mockSerialPorts.push(this);
+    }
+    open(cb) {
+      this.isOpen = true;
+      cb();
+    }
+  }
+  return { SerialPort: MockSerialPort };
+});
+
 require("../main.js");
 
+// Create a session against the mock socket and complete the handshake.
+// Returns the socket data handler so tests can feed projector replies.
+function connect(instance, config = {}) {
+  instance.config = { host: "127.0.0.1", port: 10000, password: "", ...config };
+  instance.initConnection();
+  const handler = mockOn.mock.calls.filter((c) => c[0] === "data").pop()[1];
+  handler("PASSWORD:");
+  handler("HELLO");
+  return handler;
+}
+
+// Answer every read of the status query that follows the login
+async function answerStatus(handler, power = "00", input = "1") {
+  for (const reply of [power, input, "00410 00410", "03", "31.5 35.2", "11"]) {
+    handler(reply + "\r");
+    await jest.advanceTimersByTimeAsync(500);
+  }
+}
+
+// Let the mock projector answer every command by itself, reporting the
+// given power state. Returns the sent commands with their send time.
+function autoAnswer(handler, power) {
+  const replies = {
+    "CR0\r": power,
+    "CR1\r": "1",
+    "CR3\r": "00410 00410",
+    "CR7\r": "03",
+    "CR6\r": "31.5 35.2",
+    "CR4\r": "11",
+  };
+  const sent = [];
+  mockSend.mockImplementation((data) => {
+    sent.push({ data, time: Date.now() });
+    const reply = replies[data] || "\x06";
+    Promise.resolve().then(() => handler(reply + "\r"));
+    return Promise.resolve(true);
+  });
+  return sent;
+}
+
+// Log in every projector of the config and answer their first status
+// query. Returns the mock sockets in projector order.
+async function connectAll(instance, config, power = ["00", "00"]) {
+  mockSockets.length = 0;
+  instance.config = config;
+  instance.initConnection();
+  const sockets = [...mockSockets];
+  for (const socket of sockets) {
+    socket.dataCb("PASSWORD:");
+    socket.dataCb("HELLO");
+  }
+  for (const i of [0, 1, 2, 3, 4, 5]) {
+    sockets.forEach((socket, n) => {
+      const replies = [power[n], "1", "00410 00410", "03", "31.5 35.2", "11"];
+      socket.dataCb(replies[i] + "\r");
+    });
+    await jest.advanceTimersByTimeAsync(500);
+  }
+  return sockets;
+}
+
+const TWO_PROJECTORS = {
+  name: "Left",
+  host: "10.0.0.1",
+  password: "",
+  p2_enabled: true,
+  p2_name: "Right",
+  p2_host: "10.0.0.2",
+  p2_password: "",
+  groups: "pair=right",
+};
+
 describe("ChristieDHD800Instance", () => {
   beforeEach(() => {
+    jest.useFakeTimers();
     mockSend.mockClear();
+    mockOn.mockClear();
+    mockDestroy.mockClear();
     mockSetVariableDefinitions.mockClear();
     mockSetVariableValues.mockClear();
   });
 
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
   test("updateActions defines expected actions", () => {
     const instance = new InstanceClass({});
     const setDefsSpy = jest.spyOn(instance, "setActionDefinitions");
@@ -71,16 +183,16 @@ describe("ChristieDHD800Instance", () => {
     expect(defs).toHaveProperty("power_on");
     expect(defs).toHaveProperty("power_off");
     expect(defs).toHaveProperty("power_toggle");
-    expect(defs).toHaveProperty("input_1");
+    expect(defs).toHaveProperty("select_input");
     expect(defs).toHaveProperty("menu_off");
     // ensure callbacks are present
     expect(typeof defs.power_on.callback).toBe("function");
   });
 
-  test("executeAction waits for prompts before sending command", () => {
-    jest.useFakeTimers();
+  test("executeAction waits for prompts before sending command", async () => {
     const instance = new InstanceClass({});
     instance.config = { host: "127.0.0.1", port: 10000, password: "" };
+    instance.initConnection();
 
     instance.executeAction({ action: "power_on" });
 
@@ -99,73 +211,84 @@ describe("ChristieDHD800Instance", () => {
 
     dataCall[1]("Hello");
     expect(mockSend).toHaveBeenCalledWith("C00\r");
-
-    jest.runAllTimers();
-    expect(mockDestroy).toHaveBeenCalled();
-    jest.useRealTimers();
+    await instance.destroy();
   });
 
   test("sendCommand logs error when host missing", () => {
     const instance = new InstanceClass({});
     const logSpy = jest.spyOn(instance, "log");
     instance.config = {};
-    instance.sendCommand("ABC");
+    instance.initConnection();
+    instance.projectors[0].sendCommand("ABC");
     expect(logSpy).toHaveBeenCalledWith("error", "Host not configured");
   });
 
-  test("sendCommand captures state", () => {
-    jest.useFakeTimers();
+  test("session is reused for consecutive commands", async () => {
     const instance = new InstanceClass({});
-    instance.config = { host: "127.0.0.1", port: 10000, password: "" };
-    const spy = jest.spyOn(instance, "checkFeedbacks");
-    instance.sendCommand("C00");
-    let handlers = mockOn.mock.calls
-      .filter((c) => c[0] === "data")
-      .map((c) => c[1]);
-    const first = handlers[0];
-    expect(first).toBeDefined();
-    jest.runAllTimers();
-    jest.useRealTimers();
+    const handler = connect(instance);
+    await answerStatus(handler);
+
+    instance.projectors[0].sendCommand("C05");
+    instance.projectors[0].sendCommand("C06");
+    expect(mockSend).toHaveBeenLastCalledWith("C05\r");
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("C06\r");
+    expect(mockOn.mock.calls.filter((c) => c[0] === "data")).toHaveLength(1);
+    await instance.destroy();
   });
 
-  test("requestState sets variables", () => {
+  test("queued commands wait for the previous response", async () => {
     const instance = new InstanceClass({});
-    let dataHandler;
-    const socket = {
-      send: jest.fn(),
-      on: jest.fn((evt, cb) => {
-        if (evt === "data") dataHandler = cb;
-      }),
-    };
-    instance.requestState(socket);
-    dataHandler("00");
-    expect(socket.send).toHaveBeenCalledWith("CR1\r");
-    dataHandler("3");
+    const handler = connect(instance);
+    mockSend.mockClear();
+
+    // CR0 from the post-login status query is still in flight
+    instance.projectors[0].sendCommand("C00");
+    instance.projectors[0].sendCommand("C05");
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockSend).not.toHaveBeenCalled();
+
+    handler("80\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend.mock.calls.map((c) => c[0])).toEqual(["C00\r"]);
+    await instance.destroy();
+  });
+
+  test("requestState sets variables", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    handler("00\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("CR1\r");
+    handler("3\r");
+    await jest.advanceTimersByTimeAsync(0);
     expect(mockSetVariableValues).toHaveBeenCalledWith({
       power_state: "Power ON",
       input_source: 3,
+      input_name: "Input 3",
+      signal_present: "Unknown",
     });
+    await instance.destroy();
   });
 
-  test("requestState triggers feedback check", () => {
+  test("requestState triggers feedback check", async () => {
     const instance = new InstanceClass({});
     const spy = jest.spyOn(instance, "checkFeedbacks");
-    let dataHandler;
-    const socket = {
-      send: jest.fn(),
-      on: jest.fn((evt, cb) => {
-        if (evt === "data") dataHandler = cb;
-      }),
-    };
-    instance.requestState(socket);
-    dataHandler("00");
-    dataHandler("3");
+    const handler = connect(instance);
+    handler("00\r");
+    await jest.advanceTimersByTimeAsync(500);
+    handler("3\r");
+    await jest.advanceTimersByTimeAsync(0);
     expect(spy).toHaveBeenCalled();
+    await instance.destroy();
   });
 });
 
 describe("ChristieDHD800Instance additional tests", () => {
   beforeEach(() => {
+    jest.useFakeTimers();
     mockSend.mockClear();
     mockOn.mockClear();
     mockDestroy.mockClear();
@@ -173,6 +296,10 @@ describe("ChristieDHD800Instance additional tests", () => {
     mockSetVariableValues.mockClear();
   });
 
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
   test("getConfigFields returns expected fields", () => {
     const instance = new InstanceClass({});
     const fields = instance.getConfigFields();
@@ -186,9 +313,9 @@ describe("ChristieDHD800Instance additional tests", () => {
     expect(passwordField).toBeDefined();
   });
 
-  test("configUpdated stores config and reinitializes TCP", () => {
+  test("configUpdated stores config and reinitializes the connection", () => {
     const instance = new InstanceClass({});
-    const spy = jest.spyOn(instance, "initTCP");
+    const spy = jest.spyOn(instance, "initConnection");
     instance.configUpdated({ host: "1.2.3.4" });
     expect(instance.config).toEqual({ host: "1.2.3.4" });
     expect(spy).toHaveBeenCalled();
@@ -197,10 +324,12 @@ describe("ChristieDHD800Instance additional tests", () => {
 
   test("destroy cleans up active socket", async () => {
     const instance = new InstanceClass({});
-    instance.socket = { destroy: mockDestroy };
+    connect(instance);
+    const [projector] = instance.projectors;
     await instance.destroy();
     expect(mockDestroy).toHaveBeenCalled();
-    expect(instance.socket).toBeUndefined();
+    expect(projector.socket).toBeUndefined();
+    expect(instance.projectors).toEqual([]);
   });
 
   test("updateFeedbacks defines feedbacks", () => {
@@ -213,61 +342,59 @@ describe("ChristieDHD800Instance additional tests", () => {
     expect(defs).toHaveProperty("input_source");
   });
 
-  test("togglePower verifies state before switching on", () => {
+  test("togglePower verifies state before switching on", async () => {
     const instance = new InstanceClass({});
-    instance.config = { host: "1.2.3.4", port: 10000, password: "" };
+    const handler = connect(instance);
+    await answerStatus(handler, "80");
     const cmdSpy = jest
-      .spyOn(instance, "sendCommand")
+      .spyOn(instance.projectors[0], "sendCommand")
       .mockImplementation(() => {});
-    instance.togglePower();
-    const handler = mockOn.mock.calls.find((c) => c[0] === "data")[1];
-    handler("PASSWORD:");
-    handler("HELLO");
-    expect(mockSend).toHaveBeenCalledWith("CR1\r");
-    handler("80");
+    instance.projectors[0].togglePower();
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    handler("80\r");
+    await jest.advanceTimersByTimeAsync(0);
     expect(cmdSpy).toHaveBeenCalledWith("C00");
+    await instance.destroy();
   });
 
-  test("togglePower verifies state before switching off", () => {
+  test("togglePower verifies state before switching off", async () => {
     const instance = new InstanceClass({});
-    instance.config = { host: "1.2.3.4", port: 10000, password: "" };
+    const handler = connect(instance);
+    await answerStatus(handler);
     const cmdSpy = jest
-      .spyOn(instance, "sendCommand")
+      .spyOn(instance.projectors[0], "sendCommand")
       .mockImplementation(() => {});
-    instance.togglePower();
-    const handler = mockOn.mock.calls.find((c) => c[0] === "data")[1];
-    handler("PASSWORD:");
-    handler("HELLO");
-    expect(mockSend).toHaveBeenCalledWith("CR1\r");
-    handler("00");
+    instance.projectors[0].togglePower();
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    handler("00\r");
+    await jest.advanceTimersByTimeAsync(0);
     expect(cmdSpy).toHaveBeenCalledWith("C01");
+    await instance.destroy();
   });
 
-  test("queryState sends status commands", () => {
+  test("queryState sends status commands", async () => {
     const instance = new InstanceClass({});
     instance.config = { host: "1.2.3.4", port: 10000, password: "" };
-    const spy = jest.spyOn(instance, "checkFeedbacks");
+    instance.initConnection();
     instance.queryState();
-    let handlers = mockOn.mock.calls
-      .filter((c) => c[0] === "data")
-      .map((c) => c[1]);
-    const first = handlers[0];
-    first("PASSWORD:");
+    const handler = mockOn.mock.calls.find((c) => c[0] === "data")[1];
+    handler("PASSWORD:");
     expect(mockSend).toHaveBeenCalledWith("\r");
     mockSend.mockClear();
-    first("HELLO");
+    handler("HELLO");
     expect(mockSend).toHaveBeenCalledWith("CR0\r");
-    handlers = mockOn.mock.calls
-      .filter((c) => c[0] === "data")
-      .map((c) => c[1]);
-    const second = handlers[handlers.length - 1];
-    second("00");
+    handler("00\r");
+    await jest.advanceTimersByTimeAsync(500);
     expect(mockSend).toHaveBeenCalledWith("CR1\r");
-    second("3");
+    handler("3\r");
+    await jest.advanceTimersByTimeAsync(0);
     expect(mockSetVariableValues).toHaveBeenCalledWith({
       power_state: "Power ON",
       input_source: 3,
+      input_name: "Input 3",
+      signal_present: "Unknown",
     });
+    await instance.destroy();
   });
 
   test("init defines variables", () => {
@@ -276,23 +403,1391 @@ describe("ChristieDHD800Instance additional tests", () => {
     expect(mockSetVariableDefinitions).toHaveBeenCalledWith([
       { variableId: "power_state", name: "Power State" },
       { variableId: "input_source", name: "Input Source" },
+      { variableId: "input_name", name: "Input Name" },
+      { variableId: "signal_present", name: "Signal Present" },
+      { variableId: "lamp_hours", name: "Lamp Hours (highest lamp)" },
+      { variableId: "lamp1_hours", name: "Lamp 1 Hours" },
+      { variableId: "lamp2_hours", name: "Lamp 2 Hours" },
+      { variableId: "lamp_status", name: "Lamp Status" },
+      { variableId: "lamp_mode", name: "Lamp Mode" },
+      { variableId: "temperature_status", name: "Temperature Status" },
+      { variableId: "temperature_1", name: "Temperature Sensor 1" },
+      { variableId: "temperature_2", name: "Temperature Sensor 2" },
+      { variableId: "temperature_3", name: "Temperature Sensor 3" },
+      { variableId: "temperature_4", name: "Temperature Sensor 4" },
+      { variableId: "shutter_state", name: "Shutter State" },
+      { variableId: "error_detail", name: "Error Detail" },
+      { variableId: "installation", name: "Installation" },
+      { variableId: "ceiling_mode", name: "Ceiling Mode" },
+      { variableId: "rear_mode", name: "Rear Mode" },
+      { variableId: "connection_state", name: "Connection State" },
+      {
+        variableId: "pending_commands",
+        name: "Commands held until warmed up",
+      },
+      { variableId: "last_response", name: "Last query response" },
     ]);
     instance.destroy();
   });
 
-  test("requestState triggers feedback check", () => {
+  test("replies split across packets are reassembled", async () => {
     const instance = new InstanceClass({});
-    const spy = jest.spyOn(instance, "checkFeedbacks");
-    let dataHandler;
-    const socket = {
-      send: jest.fn(),
-      on: jest.fn((evt, cb) => {
-        if (evt === "data") dataHandler = cb;
-      }),
+    const handler = connect(instance);
+    handler("0");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    handler("0\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("CR1\r");
+    handler("CR1\r2");
+    handler("\r");
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      power_state: "Power ON",
+      input_source: 2,
+      input_name: "Input 2",
+      signal_present: "Unknown",
+    });
+    await instance.destroy();
+  });
+
+  test("unknown command reply rejects only that command", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler);
+
+    const rejected = instance.projectors[0].enqueue("C99");
+    const accepted = instance.projectors[0].enqueue("C1C");
+    handler("?\r");
+    await expect(rejected).rejects.toThrow(
+      "Projector rejected C99 (unknown command)",
+    );
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("C1C\r");
+    // a data line is not a valid answer to a functional command
+    handler("80\r");
+    handler("\x06\r");
+    await expect(accepted).resolves.toBeUndefined();
+    await instance.destroy();
+  });
+
+  test("busy status read is re-sent", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    handler("02\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    expect(mockSend.mock.calls.filter((c) => c[0] === "CR0\r")).toHaveLength(2);
+    handler("80\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("CR1\r");
+    await instance.destroy();
+  });
+
+  test("lamp hours and status are polled with the power state", async () => {
+    const instance = new InstanceClass({});
+    instance.updateFeedbacks();
+    const handler = connect(instance);
+    for (const reply of ["00", "1", "01250 00980", "11"]) {
+      handler(reply + "\r");
+      await jest.advanceTimersByTimeAsync(500);
+    }
+    expect(mockSend.mock.calls.map((c) => c[0])).toEqual(
+      expect.arrayContaining(["CR3\r", "CR7\r"]),
+    );
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      lamp_hours: 1250,
+      lamp1_hours: 1250,
+      lamp2_hours: 980,
+      lamp_status: "Lamp 1 on",
+      lamp_mode: "Single lamp (lamp 1)",
+    });
+    const fb = instance.feedbackDefinitions.lamp_hours_above;
+    expect(fb.callback({ options: { hours: 1000 } })).toBe(true);
+    expect(fb.callback({ options: { hours: 1500 } })).toBe(false);
+    const mode = instance.feedbackDefinitions.lamp_mode;
+    expect(mode.callback({ options: { mode: "1" } })).toBe(true);
+    expect(mode.callback({ options: { mode: "0" } })).toBe(false);
+    await instance.destroy();
+  });
+
+  test("temperature sensors are polled and checked against the limit", async () => {
+    const instance = new InstanceClass({});
+    instance.updateFeedbacks();
+    const handler = connect(instance);
+    const replies = ["00", "1", "00410 00410", "03", " 31.5  48.2 -05.5 E00.0"];
+    for (const reply of replies) {
+      handler(reply + "\r");
+      await jest.advanceTimersByTimeAsync(500);
+    }
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      temperature_status: "Sensor fault",
+      temperature_1: 31.5,
+      temperature_2: 48.2,
+      temperature_3: -5.5,
+      temperature_4: "Error",
+    });
+    const fb = instance.feedbackDefinitions.temperature_above;
+    expect(fb.callback({ options: { limit: 45 } })).toBe(true);
+    expect(fb.callback({ options: { limit: 50 } })).toBe(false);
+    // the projector's own over-temperature shutdown always trips it
+    instance.projectors[0].powerState = "28";
+    expect(fb.callback({ options: { limit: 50 } })).toBe(true);
+    await instance.destroy();
+  });
+
+  test("installation setting is polled with the power state", async () => {
+    const instance = new InstanceClass({});
+    instance.updateFeedbacks();
+    const handler = connect(instance);
+    await answerStatus(handler);
+    expect(mockSend).toHaveBeenCalledWith("CR4\r");
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      installation: "Front",
+      ceiling_mode: "Off",
+      rear_mode: "Off",
+    });
+
+    await jest.advanceTimersByTimeAsync(30000);
+    for (const reply of ["00", "1", "00410 00410", "03", "31.5 35.2", "10"]) {
+      handler(reply + "\r");
+      await jest.advanceTimersByTimeAsync(500);
+    }
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      installation: "Rear ceiling",
+      ceiling_mode: "On",
+      rear_mode: "On",
+    });
+    const fb = instance.feedbackDefinitions.installation;
+    expect(fb.callback({ options: { state: "rear_ceiling" } })).toBe(true);
+    expect(fb.callback({ options: { state: "front" } })).toBe(false);
+    await instance.destroy();
+  });
+
+  test("power management after losing the signal trips no signal", async () => {
+    const instance = new InstanceClass({});
+    instance.updateFeedbacks();
+    const handler = connect(instance);
+    await answerStatus(handler, "04");
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      power_state: "Power management (no signal)",
+      input_source: 1,
+      input_name: "Input 1",
+      signal_present: "No",
+    });
+    const fb = instance.feedbackDefinitions.no_signal;
+    expect(fb.callback({ options: {} })).toBe(true);
+    instance.projectors[0].powerState = "00";
+    expect(fb.callback({ options: {} })).toBe(false);
+    await instance.destroy();
+  });
+
+  test("fault shutdown states have readable power state labels", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler, "81");
+    expect(mockSetVariableValues).toHaveBeenCalledWith(
+      expect.objectContaining({ power_state: "Standby (lamp failure)" }),
+    );
+    await jest.advanceTimersByTimeAsync(30000);
+    await answerStatus(handler, "2C");
+    expect(mockSetVariableValues).toHaveBeenCalledWith(
+      expect.objectContaining({ power_state: "Cooling (shutter management)" }),
+    );
+    await instance.destroy();
+  });
+
+  test("failure is decoded into an error detail until it clears", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance);
+    for (const reply of ["10", "1", "00410 00410", "00", "E00.0 61.5", "11"]) {
+      handler(reply + "\r");
+      await jest.advanceTimersByTimeAsync(500);
+    }
+    const detail =
+      "Power supply abnormal (filter or shutter fault); " +
+      "temperature sensor 1 fault; highest temperature 61.5 °C; lamps: Off";
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      error_detail: detail,
+    });
+    expect(logSpy).toHaveBeenCalledWith("warn", `Projector failure: ${detail}`);
+
+    await jest.advanceTimersByTimeAsync(30000);
+    await answerStatus(handler, "80");
+    expect(mockSetVariableValues).toHaveBeenCalledWith({ error_detail: "" });
+    expect(logSpy).toHaveBeenCalledWith("info", "Projector failure cleared");
+    await instance.destroy();
+  });
+
+  test("shutter toggle closes the shutter while powered on", async () => {
+    const instance = new InstanceClass({});
+    instance.updateFeedbacks();
+    const handler = connect(instance);
+    await answerStatus(handler);
+
+    instance.projectors[0].toggleShutter();
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    handler("00\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("C0D\r");
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      shutter_state: "Closed",
+    });
+    const fb = instance.feedbackDefinitions.shutter_state;
+    expect(fb.callback({ options: { state: "closed" } })).toBe(true);
+    await instance.destroy();
+  });
+
+  test("shutter toggle is refused in standby", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance);
+    await answerStatus(handler, "80");
+
+    instance.projectors[0].toggleShutter();
+    handler("80\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(logSpy).toHaveBeenCalledWith(
+      "warn",
+      "Shutter can only be toggled while the projector is on",
+    );
+    expect(mockSend).not.toHaveBeenCalledWith("C0D\r");
+    await instance.destroy();
+  });
+
+  test("lens actions repeat while held and stop on release", async () => {
+    const instance = new InstanceClass({});
+    instance.updateActions();
+    const handler = connect(instance);
+    await answerStatus(handler);
+    mockSend.mockClear();
+
+    const zoom = instance.actionDefinitions.lens_zoom_in;
+    zoom.callback({ options: { mode: "start" } });
+    for (let i = 0; i < 3; i++) {
+      handler("\x06\r");
+      await jest.advanceTimersByTimeAsync(100);
+    }
+    expect(mockSend.mock.calls.map((c) => c[0])).toEqual([
+      "C47\r",
+      "C47\r",
+      "C47\r",
+      "C47\r",
+    ]);
+
+    zoom.callback({ options: { mode: "stop" } });
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockSend).toHaveBeenCalledTimes(4);
+    await instance.destroy();
+  });
+
+  test("held lens action stops by itself after the repeat limit", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    instance.updateActions();
+    const handler = connect(instance);
+    await answerStatus(handler);
+    // the projector acknowledges every lens step
+    mockSend.mockImplementation((data) => {
+      if (data === "C46\r") Promise.resolve().then(() => handler("\x06\r"));
+      return Promise.resolve(true);
+    });
+
+    instance.actionDefinitions.lens_zoom_out.callback({
+      options: { mode: "start" },
+    });
+    await jest.advanceTimersByTimeAsync(30000);
+    mockSend.mockImplementation(() => Promise.resolve(true));
+    expect(logSpy).toHaveBeenCalledWith(
+      "warn",
+      "Lens command C46 stopped after 30s without a stop action",
+    );
+    mockSend.mockClear();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockSend).not.toHaveBeenCalledWith("C46\r");
+    await instance.destroy();
+  });
+
+  test("status polls wait while a held lens action moves the lens", async () => {
+    const instance = new InstanceClass({});
+    instance.updateActions();
+    const handler = connect(instance, { poll_interval: 5 });
+    await answerStatus(handler);
+    mockSend.mockImplementation((data) => {
+      if (data === "C47\r") Promise.resolve().then(() => handler("\x06\r"));
+      return Promise.resolve(true);
+    });
+    mockSend.mockClear();
+
+    const zoom = instance.actionDefinitions.lens_zoom_in;
+    zoom.callback({ options: { mode: "start" } });
+    await jest.advanceTimersByTimeAsync(8000);
+    mockSend.mockImplementation(() => Promise.resolve(true));
+    expect(mockSend).not.toHaveBeenCalledWith("CR0\r");
+    // still pipelined every 100ms
+    expect(
+      mockSend.mock.calls.filter((c) => c[0] === "C47\r").length,
+    ).toBeGreaterThan(70);
+
+    // the step already queued goes out first, then the postponed poll
+    zoom.callback({ options: { mode: "stop" } });
+    await jest.advanceTimersByTimeAsync(100);
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(100);
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    await instance.destroy();
+  });
+
+  test("lens action in step mode sends the command once", async () => {
+    const instance = new InstanceClass({});
+    instance.updateActions();
+    const handler = connect(instance);
+    await answerStatus(handler);
+    mockSend.mockClear();
+
+    instance.actionDefinitions.lens_shift_left.callback({
+      options: { mode: "step" },
+    });
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockSend.mock.calls.map((c) => c[0])).toEqual(["C5F\r"]);
+    await instance.destroy();
+  });
+
+  test("menu navigation is sent without a status refresh", async () => {
+    const instance = new InstanceClass({});
+    instance.updateActions();
+    const handler = connect(instance);
+    await answerStatus(handler);
+    mockSend.mockClear();
+
+    instance.actionDefinitions.menu_up.callback({ options: {} });
+    instance.actionDefinitions.menu_enter.callback({ options: {} });
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(500);
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend.mock.calls.map((c) => c[0])).toEqual(["C3C\r", "C3F\r"]);
+    await instance.destroy();
+  });
+
+  test("remote presets reference defined actions", () => {
+    const instance = new InstanceClass({});
+    instance.updateActions();
+    instance.updatePresets();
+    const presets = Object.values(instance.presetDefinitions).filter(
+      (p) => p.category === "Remote",
+    );
+    expect(presets).toHaveLength(9);
+    for (const preset of presets) {
+      const { actionId } = preset.steps[0].down[0];
+      expect(instance.actionDefinitions).toHaveProperty(actionId);
+    }
+  });
+
+  test("presets cover power, inputs, shutter and status", () => {
+    const instance = new InstanceClass({});
+    instance.updateActions();
+    instance.updateFeedbacks();
+    instance.updatePresets();
+    const presets = Object.values(instance.presetDefinitions);
+    const categories = new Set(presets.map((p) => p.category));
+    for (const category of ["Power", "Inputs", "Shutter", "Status"]) {
+      expect(categories).toContain(category);
+    }
+    for (const preset of presets) {
+      for (const action of preset.steps[0].down) {
+        expect(instance.actionDefinitions).toHaveProperty(action.actionId);
+      }
+      for (const fb of preset.feedbacks) {
+        expect(instance.feedbackDefinitions).toHaveProperty(fb.feedbackId);
+      }
+    }
+    const toggle = instance.presetDefinitions.power_toggle;
+    expect(toggle.feedbacks.map((f) => f.feedbackId)).toEqual([
+      "power_state_style",
+      "power_off_armed",
+    ]);
+  });
+
+  test("power style feedback returns the colour for each state", () => {
+    const instance = new InstanceClass({});
+    instance.updateFeedbacks();
+    instance.initConnection();
+    const fb = instance.feedbackDefinitions.power_state_style;
+    const options = {};
+    for (const option of fb.options) options[option.id] = option.default;
+    options.text_10 = "FAULT";
+
+    instance.projectors[0].powerState = "00";
+    expect(fb.callback({ options })).toEqual({ bgcolor: 0x00cc00 });
+    instance.projectors[0].powerState = "20";
+    expect(fb.callback({ options })).toEqual({ bgcolor: 0xffa000 });
+    // power management cooling is shown as cooling
+    instance.projectors[0].powerState = "24";
+    expect(fb.callback({ options })).toEqual({ bgcolor: 0xffa000 });
+    instance.projectors[0].powerState = "10";
+    expect(fb.callback({ options })).toEqual({
+      bgcolor: 0xcc0000,
+      text: "FAULT",
+    });
+    // lamp failure and over temperature shutdowns are shown as failures
+    for (const state of ["21", "28", "81", "88"]) {
+      instance.projectors[0].powerState = state;
+      expect(fb.callback({ options })).toEqual({
+        bgcolor: 0xcc0000,
+        text: "FAULT",
+      });
+    }
+    instance.projectors[0].powerState = undefined;
+    expect(fb.callback({ options })).toEqual({});
+  });
+
+  test("transitioning flag covers countdown and cooling", () => {
+    const instance = new InstanceClass({});
+    instance.updateFeedbacks();
+    instance.initConnection();
+    const fb = instance.feedbackDefinitions.power_transitioning;
+    const result = (state) => {
+      instance.projectors[0].powerState = state;
+      return fb.callback({ options: {} });
     };
-    instance.requestState(socket);
-    dataHandler("00");
-    dataHandler("3");
-    expect(spy).toHaveBeenCalled();
+    expect(result("40")).toBe(true);
+    expect(result("20")).toBe(true);
+    expect(result("00")).toBe(false);
+    expect(result("80")).toBe(false);
+  });
+
+  test("idle polling uses the configured interval", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance, { poll_interval: 10 });
+    await answerStatus(handler, "80");
+    mockSend.mockClear();
+
+    await jest.advanceTimersByTimeAsync(9000);
+    expect(mockSend).not.toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    await instance.destroy();
+  });
+
+  test("polling speeds up while the projector is cooling", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler, "20");
+    mockSend.mockClear();
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    await answerStatus(handler, "80");
+    mockSend.mockClear();
+
+    // back in standby: the next poll waits for the idle interval
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(mockSend).not.toHaveBeenCalled();
+    await instance.destroy();
+  });
+
+  test("polling speeds up after a power command", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler, "80");
+
+    instance.projectors[0].sendCommand("C00");
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(500);
+    // the projector still reports standby right after the command
+    await answerStatus(handler, "80");
+    mockSend.mockClear();
+
+    await jest.advanceTimersByTimeAsync(2000);
+    expect(mockSend).toHaveBeenLastCalledWith("CR0\r");
+    await instance.destroy();
+  });
+
+  test("connection errors report a connection failure", async () => {
+    const instance = new InstanceClass({});
+    instance.updateFeedbacks();
+    const statusSpy = jest.spyOn(instance, "updateStatus");
+    instance.config = { host: "127.0.0.1", port: 10000, password: "" };
+    instance.initConnection();
+    expect(statusSpy).toHaveBeenLastCalledWith("connecting", undefined);
+
+    const error = mockOn.mock.calls.find((c) => c[0] === "error")[1];
+    error(new Error("connect ECONNREFUSED"));
+    expect(statusSpy).toHaveBeenLastCalledWith(
+      "connection_failure",
+      "connect ECONNREFUSED",
+    );
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      connection_state: "Connection failed",
+    });
+    expect(
+      instance.feedbackDefinitions.projector_offline.callback({ options: {} }),
+    ).toBe(true);
+    await expect(instance.projectors[0].enqueue("CR0")).rejects.toThrow(
+      "Connection failed",
+    );
+    await instance.destroy();
+  });
+
+  test("connect that never reaches HELLO times out", async () => {
+    const instance = new InstanceClass({});
+    const statusSpy = jest.spyOn(instance, "updateStatus");
+    instance.config = { host: "127.0.0.1", port: 10000, password: "" };
+    instance.initConnection();
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(statusSpy).toHaveBeenLastCalledWith(
+      "connection_failure",
+      "Timed out connecting to projector",
+    );
+    await instance.destroy();
+  });
+
+  test("login timeout reconnects with a new socket", async () => {
+    const instance = new InstanceClass({});
+    instance.config = { host: "127.0.0.1", port: 10000, password: "" };
+    instance.initConnection();
+    const sockets = () => mockOn.mock.calls.filter((c) => c[0] === "data");
+    // the projector accepts the connection but never prompts
+    mockOn.mock.calls.find((c) => c[0] === "connect")[1]();
+
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(mockDestroy).toHaveBeenCalledTimes(1);
+    expect(instance.projectors[0].socket).toBeUndefined();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(sockets()).toHaveLength(2);
+    await instance.destroy();
+  });
+
+  test("missing HELLO after the password counts as failed login", async () => {
+    const instance = new InstanceClass({});
+    const statusSpy = jest.spyOn(instance, "updateStatus");
+    instance.config = { host: "127.0.0.1", port: 10000, password: "1234" };
+    instance.initConnection();
+    const sockets = () => mockOn.mock.calls.filter((c) => c[0] === "data");
+    sockets()[0][1]("PASSWORD:");
+
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(statusSpy).toHaveBeenLastCalledWith(
+      "bad_config",
+      "No HELLO after password",
+    );
+    expect(mockDestroy).toHaveBeenCalled();
+    await jest.advanceTimersByTimeAsync(30000);
+    expect(sockets()).toHaveLength(2);
+    await instance.destroy();
+  });
+
+  test("repeated password prompt reports bad config", async () => {
+    const instance = new InstanceClass({});
+    const statusSpy = jest.spyOn(instance, "updateStatus");
+    const logSpy = jest.spyOn(instance, "log");
+    instance.config = { host: "127.0.0.1", port: 10000, password: "1234" };
+    instance.initConnection();
+    const handler = mockOn.mock.calls.find((c) => c[0] === "data")[1];
+    handler("PASSWORD:");
+    expect(mockSend).toHaveBeenCalledWith("1234\r");
+    handler("PASSWORD:");
+    expect(statusSpy).toHaveBeenLastCalledWith(
+      "bad_config",
+      "Password rejected",
+    );
+    expect(logSpy).toHaveBeenCalledWith(
+      "error",
+      "Authentication failed: Password rejected. Check the projector password; retrying in 30s",
+    );
+    expect(mockSend).toHaveBeenCalledTimes(1);
+    expect(mockDestroy).toHaveBeenCalled();
+    await instance.destroy();
+  });
+
+  test("rejected logins back off before reconnecting", async () => {
+    const instance = new InstanceClass({});
+    const statusSpy = jest.spyOn(instance, "updateStatus");
+    instance.config = { host: "127.0.0.1", port: 10000, password: "1234" };
+    instance.initConnection();
+    const sockets = () => mockOn.mock.calls.filter((c) => c[0] === "data");
+
+    // the projector drops the connection instead of answering HELLO
+    sockets()[0][1]("PASSWORD:");
+    mockOn.mock.calls.find((c) => c[0] === "end")[1]();
+    expect(statusSpy).toHaveBeenLastCalledWith(
+      "bad_config",
+      "Connection closed after the password was sent",
+    );
+
+    await jest.advanceTimersByTimeAsync(29000);
+    expect(sockets()).toHaveLength(1);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(sockets()).toHaveLength(2);
+
+    sockets()[1][1]("PASSWORD:");
+    sockets()[1][1]("PASSWORD:");
+    await jest.advanceTimersByTimeAsync(59000);
+    expect(sockets()).toHaveLength(2);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(sockets()).toHaveLength(3);
+    await instance.destroy();
+  });
+
+  test("missed polls raise an offline warning", async () => {
+    const instance = new InstanceClass({});
+    const statusSpy = jest.spyOn(instance, "updateStatus");
+    const handler = connect(instance, { missed_polls: 2 });
+    expect(statusSpy).toHaveBeenLastCalledWith("ok", undefined);
+
+    // first poll and the one after the idle interval both go unanswered
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(statusSpy).toHaveBeenLastCalledWith("ok", undefined);
+    await jest.advanceTimersByTimeAsync(35000);
+    expect(statusSpy).toHaveBeenLastCalledWith(
+      "unknown_warning",
+      "No response to 2 status polls",
+    );
+
+    await jest.advanceTimersByTimeAsync(30000);
+    await answerStatus(handler);
+    expect(statusSpy).toHaveBeenLastCalledWith("ok", undefined);
+    await instance.destroy();
+  });
+
+  test("serial server transport skips the password login", async () => {
+    const instance = new InstanceClass({});
+    instance.config = { transport: "tcp_raw", host: "10.0.0.5", port: 4001 };
+    instance.initConnection();
+    const connectCb = mockOn.mock.calls.find((c) => c[0] === "connect")[1];
+    connectCb();
+    expect(mockSend).toHaveBeenCalledWith("CR0\r");
+    await instance.destroy();
+  });
+
+  test("local serial transport opens the configured device", async () => {
+    const instance = new InstanceClass({});
+    instance.config = {
+      transport: "serial",
+      serial_path: "/dev/ttyUSB0",
+      baud_rate: "9600",
+    };
+    instance.initConnection();
+    await jest.advanceTimersByTimeAsync(0);
+    const port = mockSerialPorts[mockSerialPorts.length - 1];
+    expect(port.options).toMatchObject({
+      path: "/dev/ttyUSB0",
+      baudRate: 9600,
+      parity: "none",
+    });
+    expect(port.write).toHaveBeenCalledWith("CR0\r", expect.any(Function));
+    port.emit("data", Buffer.from("00\r"));
+    await jest.advanceTimersByTimeAsync(500);
+    expect(port.write).toHaveBeenLastCalledWith("CR1\r", expect.any(Function));
+    await instance.destroy();
+    expect(port.close).toHaveBeenCalled();
+  });
+
+  test("serial port errors are reported instead of thrown", async () => {
+    const instance = new InstanceClass({});
+    const statusSpy = jest.spyOn(instance, "updateStatus");
+    instance.config = { transport: "serial", serial_path: "/dev/invalid" };
+    instance.initConnection();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(statusSpy).toHaveBeenLastCalledWith(
+      "connection_failure",
+      '"path" is not a valid device',
+    );
+    await instance.destroy();
+  });
+
+  test("serial transport requires a device path", () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    instance.config = { transport: "serial", serial_path: "" };
+    instance.initConnection();
+    instance.projectors[0].sendCommand("C00");
+    expect(logSpy).toHaveBeenCalledWith(
+      "error",
+      "Serial device not configured",
+    );
+  });
+
+  test("unanswered command times out and the queue moves on", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance);
+    await answerStatus(handler);
+
+    instance.projectors[0].sendCommand("C1C");
+    instance.projectors[0].sendCommand("C1D");
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(logSpy).toHaveBeenCalledWith(
+      "error",
+      "Command C1C failed: No response to C1C within 5000ms",
+    );
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("C1D\r");
+    await instance.destroy();
+  });
+
+  test("connection loss fails queued commands", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance);
+    await answerStatus(handler);
+
+    instance.projectors[0].sendCommand("C05");
+    instance.projectors[0].sendCommand("C06");
+    const end = mockOn.mock.calls.find((c) => c[0] === "end")[1];
+    end();
+    await jest.advanceTimersByTimeAsync(0);
+    expect(logSpy).toHaveBeenCalledWith(
+      "error",
+      "Command C06 failed: Connection closed",
+    );
+    expect(instance.projectors[0].authenticated).toBe(false);
+    await instance.destroy();
+  });
+
+  test("each projector gets its own suffixed variables", async () => {
+    const instance = new InstanceClass({});
+    instance.config = TWO_PROJECTORS;
+    instance.updateVariableDefinitions();
+    const ids = mockSetVariableDefinitions.mock.calls[0][0].map(
+      (v) => v.variableId,
+    );
+    expect(ids).toEqual(
+      expect.arrayContaining([
+        "power_state",
+        "power_state_left",
+        "power_state_right",
+        "last_result",
+      ]),
+    );
+
+    const [left, right] = await connectAll(instance, TWO_PROJECTORS, [
+      "00",
+      "80",
+    ]);
+    expect(left.host).toBe("10.0.0.1");
+    expect(right.host).toBe("10.0.0.2");
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      power_state: "Power ON",
+      input_source: 1,
+      input_name: "Input 1",
+      signal_present: "Unknown",
+      power_state_left: "Power ON",
+      input_source_left: 1,
+      input_name_left: "Input 1",
+      signal_present_left: "Unknown",
+    });
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      power_state_right: "Standby",
+      input_source_right: 1,
+      input_name_right: "Input 1",
+      signal_present_right: "Unknown",
+    });
+    await instance.destroy();
+  });
+
+  test("power on for all projectors reports each unit", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const [left, right] = await connectAll(instance, TWO_PROJECTORS, [
+      "80",
+      "80",
+    ]);
+    instance.updateActions();
+    const choices = instance.actionDefinitions.power_on.options[0].choices;
+    expect(choices.map((c) => c.id)).toEqual([
+      "left",
+      "right",
+      "all",
+      "group:pair",
+    ]);
+
+    const done = instance.actionDefinitions.power_on.callback({
+      options: { target: "all" },
+    });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(left.send).toHaveBeenLastCalledWith("C00\r");
+    expect(right.send).toHaveBeenLastCalledWith("C00\r");
+    left.dataCb("\x06\r");
+    right.dataCb("?\r");
+    await expect(done).resolves.toBe(false);
+    expect(logSpy).toHaveBeenCalledWith(
+      "warn",
+      "Power On: Left OK, Right failed",
+    );
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      last_result: "Power On: Left OK, Right failed",
+    });
+    await instance.destroy();
+  });
+
+  test("group targets and projector feedbacks pick the right unit", async () => {
+    const instance = new InstanceClass({});
+    const [left, right] = await connectAll(instance, TWO_PROJECTORS, [
+      "00",
+      "80",
+    ]);
+    instance.updateActions();
+    instance.updateFeedbacks();
+
+    instance.actionDefinitions.shutter_close.callback({
+      options: { target: "group:pair" },
+    });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(right.send).toHaveBeenLastCalledWith("C0D\r");
+    expect(left.send).not.toHaveBeenCalledWith("C0D\r");
+
+    const fb = instance.feedbackDefinitions.power_state;
+    expect(fb.options[0].id).toBe("projector");
+    expect(fb.callback({ options: { projector: "right", state: "80" } })).toBe(
+      true,
+    );
+    expect(fb.callback({ options: { projector: "left", state: "80" } })).toBe(
+      false,
+    );
+    await instance.destroy();
+  });
+
+  test("unknown projector targets control nothing", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const [left, right] = await connectAll(instance, TWO_PROJECTORS);
+    instance.updateActions();
+    instance.updateFeedbacks();
+
+    const done = instance.actionDefinitions.power_off.callback({
+      options: { target: "stage_right" },
+    });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(done).toBe(false);
+    expect(left.send).not.toHaveBeenCalledWith("C01\r");
+    expect(right.send).not.toHaveBeenCalledWith("C01\r");
+    expect(logSpy).toHaveBeenCalledWith(
+      "error",
+      'Unknown projector "stage_right"',
+    );
+    expect(instance.getTargets("group:blend")).toEqual([]);
+
+    const fb = instance.feedbackDefinitions.power_state;
+    expect(
+      fb.callback({ options: { projector: "stage_right", state: "00" } }),
+    ).toBe(false);
+    await instance.destroy();
+  });
+
+  test("module status reports the worst projector", () => {
+    const instance = new InstanceClass({});
+    const statusSpy = jest.spyOn(instance, "updateStatus");
+    instance.config = { ...TWO_PROJECTORS, p2_host: "" };
+    instance.initConnection();
+    expect(statusSpy).toHaveBeenLastCalledWith(
+      "bad_config",
+      "Right: Host not configured",
+    );
+    instance.destroy();
+  });
+
+  test("power off in confirm mode needs a second press", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance, { power_off_confirm: 3 });
+    await answerStatus(handler);
+    instance.updateActions();
+    instance.updateFeedbacks();
+    const armed = instance.feedbackDefinitions.power_off_armed;
+
+    instance.actionDefinitions.power_off.callback({ options: {} });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSend).not.toHaveBeenCalledWith("C01\r");
+    expect(logSpy).toHaveBeenCalledWith(
+      "info",
+      "Press Power Off again within 3s to confirm",
+    );
+    expect(armed.callback({ options: {} })).toBe(true);
+
+    // the confirmation window lapses
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(armed.callback({ options: {} })).toBe(false);
+    instance.actionDefinitions.power_off.callback({ options: {} });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSend).not.toHaveBeenCalledWith("C01\r");
+
+    instance.actionDefinitions.power_off.callback({ options: {} });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSend).toHaveBeenLastCalledWith("C01\r");
+    await instance.destroy();
+  });
+
+  test("power on while cooling is sent once the projector is in standby", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler, "20");
+    const projector = instance.projectors[0];
+
+    await expect(projector.powerOn()).resolves.toBe(true);
+    expect(mockSend).not.toHaveBeenCalledWith("C00\r");
+
+    // next fast poll still cooling, the one after in standby
+    await jest.advanceTimersByTimeAsync(2000);
+    await answerStatus(handler, "20");
+    expect(mockSend).not.toHaveBeenCalledWith("C00\r");
+    await jest.advanceTimersByTimeAsync(2000);
+    handler("80\r");
+    await jest.advanceTimersByTimeAsync(500);
+    handler("1\r");
+    await jest.advanceTimersByTimeAsync(0);
+    expect(projector.pendingPowerOn).toBe(false);
+    // queued behind the rest of the status query
+    for (const reply of ["00410 00410", "03", "31.5 35.2"]) {
+      handler(reply + "\r");
+      await jest.advanceTimersByTimeAsync(500);
+    }
+    expect(mockSend).toHaveBeenLastCalledWith("C00\r");
+    await instance.destroy();
+  });
+
+  test("power cycle guard blocks switching back on too soon", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance, { power_cycle_guard: 60 });
+    await answerStatus(handler, "00");
+    const projector = instance.projectors[0];
+
+    const off = projector.powerOff();
+    handler("\x06\r");
+    await expect(off).resolves.toBe(true);
+    await answerStatus(handler, "80");
+
+    await expect(projector.powerOn()).resolves.toBe(false);
+    expect(logSpy).toHaveBeenCalledWith(
+      "warn",
+      expect.stringMatching(/^Power On blocked for another \d+s/),
+    );
+    expect(mockSend).not.toHaveBeenCalledWith("C00\r");
+
+    jest.setSystemTime(Date.now() + 60000);
+    projector.powerOn();
+    await answerStatus(handler, "80");
+    expect(mockSend).toHaveBeenCalledWith("C00\r");
+    await instance.destroy();
+  });
+
+  test("togglePower leaves a failed projector alone", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance);
+    await answerStatus(handler, "10");
+
+    const result = instance.projectors[0].togglePower();
+    handler("10\r");
+    await expect(result).resolves.toBe(false);
+    expect(mockSend).not.toHaveBeenCalledWith("C01\r");
+    expect(logSpy).toHaveBeenCalledWith(
+      "warn",
+      "Projector reports a failure; use Power Off to acknowledge it",
+    );
+    await instance.destroy();
+  });
+
+  test("input commands are held during warm-up and replayed once on", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance, { hold_during_warmup: true });
+    await answerStatus(handler, "80");
+    instance.updateActions();
+
+    // power on and input 2 on the same button
+    instance.actionDefinitions.power_on.callback({ options: {} });
+    const input = instance.actionDefinitions.select_input.callback({
+      options: { input: "2" },
+    });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSend).toHaveBeenLastCalledWith("C00\r");
+    expect(mockSetVariableValues).toHaveBeenCalledWith({ pending_commands: 1 });
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(500);
+
+    // still counting down
+    await answerStatus(handler, "40");
+    expect(mockSend).not.toHaveBeenCalledWith("C06\r");
+
+    await jest.advanceTimersByTimeAsync(2000);
+    await answerStatus(handler, "00");
+    expect(mockSend).toHaveBeenLastCalledWith("C06\r");
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      pending_commands: 0,
+    });
+    handler("\x06\r");
+    await expect(input).resolves.toBe(true);
+    await instance.destroy();
+  });
+
+  test("held commands wait 7s after Power On without a countdown", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance, { hold_during_warmup: true });
+    await answerStatus(handler, "80");
+    instance.updateActions();
+    // the countdown display is off: polls read Power ON straight away
+    const sent = autoAnswer(handler, "00");
+
+    instance.actionDefinitions.power_on.callback({ options: {} });
+    instance.actionDefinitions.select_input.callback({
+      options: { input: "2" },
+    });
+    await jest.advanceTimersByTimeAsync(10000);
+    mockSend.mockImplementation(() => Promise.resolve(true));
+    const powerOn = sent.find((c) => c.data === "C00\r");
+    const input = sent.find((c) => c.data === "C06\r");
+    expect(input.time - powerOn.time).toBeGreaterThanOrEqual(7000);
+    await instance.destroy();
+  });
+
+  test("held commands wait for a held input switch to finish", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance, { hold_during_warmup: true });
+    await answerStatus(handler, "40");
+    instance.updateActions();
+
+    instance.actionDefinitions.select_input.callback({
+      options: { input: "3" },
+    });
+    instance.actionDefinitions.image.callback({ options: {} });
+    const sent = autoAnswer(handler, "00");
+    await jest.advanceTimersByTimeAsync(10000);
+    mockSend.mockImplementation(() => Promise.resolve(true));
+    const input = sent.find((c) => c.data === "C07\r");
+    const image = sent.find((c) => c.data === "C27\r");
+    expect(image.time - input.time).toBeGreaterThanOrEqual(5000);
+    await instance.destroy();
+  });
+
+  test("held commands are dropped when the projector fails", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance, { hold_during_warmup: true });
+    await answerStatus(handler, "40");
+
+    const input = instance.projectors[0].sendCommand("C07");
+    await jest.advanceTimersByTimeAsync(2000);
+    await answerStatus(handler, "10");
+    await expect(input).resolves.toBe(false);
+    expect(mockSend).not.toHaveBeenCalledWith("C07\r");
+    expect(logSpy).toHaveBeenCalledWith(
+      "warn",
+      "Dropped held commands (projector reports a failure): 1",
+    );
+    await instance.destroy();
+  });
+
+  test("select input accepts a named input from a variable", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance, { input_2_name: "Media server" });
+    await answerStatus(handler, "00", "2");
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      power_state: "Power ON",
+      input_source: 2,
+      input_name: "Media server",
+      signal_present: "Unknown",
+    });
+    instance.updateActions();
+    const selectInput = instance.actionDefinitions.select_input;
+    expect(selectInput.options[0].choices[1]).toEqual({
+      id: "2",
+      label: "2: Media server",
+    });
+
+    const context = {
+      parseVariablesInString: jest.fn(async () => "media server"),
+    };
+    selectInput.callback(
+      { options: { input: "variable", input_text: "$(internal:source)" } },
+      context,
+    );
+    await jest.advanceTimersByTimeAsync(0);
+    expect(context.parseVariablesInString).toHaveBeenCalledWith(
+      "$(internal:source)",
+    );
+    expect(mockSend).toHaveBeenLastCalledWith("C06\r");
+    await instance.destroy();
+  });
+
+  test("select input rejects unknown inputs", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance);
+    await answerStatus(handler);
+
+    await expect(instance.projectors[0].selectInput("DVD")).resolves.toBe(
+      false,
+    );
+    expect(logSpy).toHaveBeenCalledWith("error", 'Unknown input "DVD"');
+    await instance.destroy();
+  });
+
+  test("input feedback matches by input name", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance, { input_3_name: "Blu-ray" });
+    await answerStatus(handler, "00", "3");
+    instance.updateFeedbacks();
+    const fb = instance.feedbackDefinitions.input_source;
+    expect(fb.callback({ options: { slot: "name", name: "blu-ray" } })).toBe(
+      true,
+    );
+    expect(fb.callback({ options: { slot: "name", name: "Input 1" } })).toBe(
+      false,
+    );
+    expect(fb.callback({ options: { slot: "3" } })).toBe(true);
+    await instance.destroy();
+  });
+
+  test("upgrade script maps legacy input actions to select input", () => {
+    const { runEntrypoint } = require("@companion-module/base");
+    const [upgrade] = runEntrypoint.mock.calls[0][1];
+    const result = upgrade(
+      {},
+      {
+        config: null,
+        actions: [
+          { id: "a", actionId: "input_3", options: {} },
+          { id: "b", actionId: "power_on", options: {} },
+        ],
+        feedbacks: [],
+      },
+    );
+    expect(result.updatedActions).toEqual([
+      { id: "a", actionId: "select_input", options: { input: "3" } },
+    ]);
+  });
+
+  test("legacy executeAction input ids still select the input", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler);
+
+    instance.executeAction({ action: "input_4" });
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSend).toHaveBeenLastCalledWith("C08\r");
+    await instance.destroy();
+  });
+
+  test("next and previous input cycle through the selected inputs", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler);
+    instance.updateActions();
+    const { input_next, input_previous } = instance.actionDefinitions;
+    expect(input_next.options[0].default).toEqual(["1", "2", "3", "4"]);
+
+    // press, answer the CR1 read and the select command
+    const press = async (def, inputs, current) => {
+      mockSend.mockClear();
+      const done = def.callback({ options: { inputs } });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(mockSend).toHaveBeenLastCalledWith("CR1\r");
+      handler(current + "\r");
+      await jest.advanceTimersByTimeAsync(500);
+      const sent = mockSend.mock.calls.at(-1)[0];
+      handler("\x06\r");
+      await done;
+      await jest.advanceTimersByTimeAsync(500);
+      await answerStatus(handler);
+      return sent;
+    };
+
+    expect(await press(input_next, ["1", "3"], "1")).toBe("C07\r");
+    expect(await press(input_next, ["1", "3"], "3")).toBe("C05\r");
+    expect(await press(input_previous, ["1", "3"], "1")).toBe("C07\r");
+    // from an input outside the cycle
+    expect(await press(input_next, ["1", "3", "4"], "2")).toBe("C07\r");
+    expect(await press(input_previous, ["3", "4"], "2")).toBe("C08\r");
+    await instance.destroy();
+  });
+
+  test("raw command action parses variables and sends the code", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler);
+    instance.updateActions();
+
+    const context = { parseVariablesInString: jest.fn(async () => " c43 ") };
+    instance.actionDefinitions.send_raw.callback(
+      { options: { command: "$(internal:freeze)" } },
+      context,
+    );
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSend).toHaveBeenLastCalledWith("C43\r");
+    await instance.destroy();
+  });
+
+  test("raw command and query refuse malformed codes", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance);
+    await answerStatus(handler);
+    mockSend.mockClear();
+    const [projector] = instance.projectors;
+
+    await expect(projector.sendRaw("C00\rC01")).resolves.toBe(false);
+    await expect(projector.sendRaw("POWER")).resolves.toBe(false);
+    await expect(projector.runQuery("C00")).resolves.toBeUndefined();
+    expect(logSpy).toHaveBeenCalledWith("error", 'Invalid command "POWER"');
+    expect(logSpy).toHaveBeenCalledWith("error", 'Invalid query "C00"');
+    expect(mockSend).not.toHaveBeenCalled();
+    await instance.destroy();
+  });
+
+  test("raw command refuses the power codes", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance, { power_off_confirm: 5 });
+    await answerStatus(handler);
+    mockSend.mockClear();
+    const [projector] = instance.projectors;
+
+    await expect(projector.sendRaw("c01")).resolves.toBe(false);
+    await expect(projector.sendRaw("C00")).resolves.toBe(false);
+    expect(logSpy).toHaveBeenCalledWith(
+      "error",
+      "Use the Power On / Power Off actions instead of sending C01",
+    );
+    expect(mockSend).not.toHaveBeenCalled();
+    await instance.destroy();
+  });
+
+  test("run query stores the reply in a custom variable", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler);
+    instance.updateActions();
+
+    const context = { parseVariablesInString: async (text) => text };
+    const done = instance.actionDefinitions.run_query.callback(
+      { options: { command: "cr4", variable: "install" } },
+      context,
+    );
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSend).toHaveBeenLastCalledWith("CR4\r");
+    handler("11\r");
+    await expect(done).resolves.toBe(true);
+    expect(mockSetVariableValues).toHaveBeenCalledWith({
+      last_response: "11",
+    });
+    expect(mockSetCustomVariableValue).toHaveBeenCalledWith("install", "11");
+    await instance.destroy();
+  });
+
+  test("image action steps the picture mode and waits for warm-up", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance, { hold_during_warmup: true });
+    await answerStatus(handler, "40");
+    instance.updateActions();
+
+    instance.actionDefinitions.image.callback({ options: {} });
+    await jest.advanceTimersByTimeAsync(2000);
+    await answerStatus(handler, "40");
+    expect(mockSend).not.toHaveBeenCalledWith("C27\r");
+    await jest.advanceTimersByTimeAsync(2000);
+    await answerStatus(handler, "00");
+    expect(mockSend).toHaveBeenLastCalledWith("C27\r");
+    await instance.destroy();
+  });
+
+  test("screen actions send the screen size commands", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler);
+    instance.updateActions();
+
+    instance.actionDefinitions.screen_full.callback({ options: {} });
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("C10\r");
+    await instance.destroy();
+  });
+
+  test("keystone reset sends back the steps made by the module", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler);
+    instance.updateActions();
+    const step = async (id) => {
+      instance.actionDefinitions[id].callback({ options: {} });
+      await jest.advanceTimersByTimeAsync(500);
+      handler("\x06\r");
+      await jest.advanceTimersByTimeAsync(0);
+    };
+
+    await step("keystone_up");
+    await step("keystone_up");
+    await step("keystone_left");
+    expect(instance.projectors[0].keystoneSteps).toEqual({
+      vertical: 2,
+      horizontal: -1,
+    });
+
+    mockSend.mockClear();
+    instance.actionDefinitions.keystone_reset.callback({ options: {} });
+    for (let i = 0; i < 3; i++) {
+      await jest.advanceTimersByTimeAsync(500);
+      handler("\x06\r");
+    }
+    await jest.advanceTimersByTimeAsync(0);
+    expect(mockSend.mock.calls).toEqual([["C8F\r"], ["C8F\r"], ["C90\r"]]);
+    expect(instance.projectors[0].keystoneSteps).toEqual({
+      vertical: 0,
+      horizontal: 0,
+    });
+    await instance.destroy();
+  });
+
+  test("keystone reset is refused outside Power ON", async () => {
+    const instance = new InstanceClass({});
+    const logSpy = jest.spyOn(instance, "log");
+    const handler = connect(instance);
+    await answerStatus(handler);
+    instance.updateActions();
+    instance.actionDefinitions.keystone_up.callback({ options: {} });
+    await jest.advanceTimersByTimeAsync(500);
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(0);
+    expect(instance.projectors[0].keystoneSteps.vertical).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(30000);
+    await answerStatus(handler, "80");
+    mockSend.mockClear();
+    const reset = instance.actionDefinitions.keystone_reset.callback({
+      options: {},
+    });
+    await expect(reset).resolves.toBe(false);
+    await jest.advanceTimersByTimeAsync(6000);
+    expect(mockSend).not.toHaveBeenCalledWith("C8F\r");
+    expect(logSpy).toHaveBeenCalledWith(
+      "warn",
+      "Keystone can only be reset while the projector is on",
+    );
+    expect(instance.projectors[0].keystoneSteps.vertical).toBe(1);
+    await instance.destroy();
+  });
+
+  test("keystone steps outside Power ON are not counted", async () => {
+    const instance = new InstanceClass({});
+    const handler = connect(instance);
+    await answerStatus(handler, "80");
+    instance.updateActions();
+
+    instance.actionDefinitions.keystone_up.callback({ options: {} });
+    await jest.advanceTimersByTimeAsync(500);
+    expect(mockSend).toHaveBeenLastCalledWith("C8E\r");
+    handler("\x06\r");
+    await jest.advanceTimersByTimeAsync(0);
+    expect(instance.projectors[0].keystoneSteps).toEqual({
+      vertical: 0,
+      horizontal: 0,
+    });
+    await instance.destroy();
   });
 });
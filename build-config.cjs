@@ -0,0 +1,4 @@
+module.exports = {
+  // Ship the serialport native binding with the packaged module
+  prebuilds: ["@serialport/bindings-cpp"],
+};
@@ -37,6 +37,18 @@ function startMockServer() {
               console.log("mock server responded:", input);
               socket.write(input + "\r");
             });
+          } else if (msg === "CR3") {
+            setImmediate(() => socket.write("00410 00410\r"));
+          } else if (msg === "CR4") {
+            setImmediate(() => socket.write("11\r"));
+          } else if (msg === "CR6") {
+            setImmediate(() => socket.write(" 31.5  35.2  33.4  33.4\r"));
+          } else if (msg === "CR7") {
+            setImmediate(() => socket.write("03\r"));
+          } else if (/^C[0-9A-F]{2}$/.test(msg)) {
+            setImmediate(() => socket.write("\x06\r"));
+          } else if (msg) {
+            setImmediate(() => socket.write("?\r"));
           }
         }
       });
@@ -136,7 +148,7 @@ async function runProjectorTests(messages, port, setPower, savePreview) {
   await emitPromise("connections:set-label-and-config", [
     connectionId,
     "autotest",
-    { host: "127.0.0.1", port: 10000, password: "" },
+    { host: "127.0.0.1", port: 10000, password: "", poll_interval: 5 },
   ]);
 
   let defs = null;
@@ -156,10 +168,8 @@ async function runProjectorTests(messages, port, setPower, savePreview) {
   const actions = {
     power_on: "C00",
     power_off: "C01",
-    input_1: "C05",
-    input_2: "C06",
-    input_3: "C07",
-    input_4: "C08",
+    // added with its default option, Input 1
+    select_input: "C05",
     menu_on: "C1C",
     menu_off: "C1D",
   };
@@ -254,7 +264,7 @@ async function runProjectorTests(messages, port, setPower, savePreview) {
 
   setPower("00");
   await httpPost(`/api/location/1/1/1/press`);
-  await new Promise((r) => setTimeout(r, 45000));
+  await new Promise((r) => setTimeout(r, 10000));
   if (previewImage === initial) {
     throw new Error("preview did not change after state update");
   }
@@ -1,3 +1,4 @@
+const EventEmitter = require("events");
 const {
   InstanceBase,
   Regex,
@@ -9,94 +10,1750 @@ const {
 // Toggle to enable verbose network debugging logs
 const NETWORK_DEBUG = false;
 
-class ChristieDHD800Instance extends InstanceBase {
-  constructor(internal) {
-    super(internal);
+// How long to wait for a reply before giving up on a command. The RS232
+// reference allows re-sending only after 5 seconds without a response.
+const COMMAND_TIMEOUT = 5000;
+
+// Minimum gap between a response and the next command
+const COMMAND_INTERVAL = 500;
+
+// Lens commands are pipelined: the projector keeps moving the lens for 120ms
+// after each one and only needs 100ms before the next.
+const LENS_COMMAND_INTERVAL = 100;
+// A held lens button stops by itself after this long, in case the release
+// action is missing or lost
+const LENS_REPEAT_LIMIT = 30000;
+const LENS_COMMANDS = {
+  lens_zoom_in: { name: "Lens Zoom In", cmd: "C47" },
+  lens_zoom_out: { name: "Lens Zoom Out", cmd: "C46" },
+  lens_focus_near: { name: "Lens Focus Near", cmd: "C4A" },
+  lens_focus_far: { name: "Lens Focus Far", cmd: "C4B" },
+  lens_shift_up: { name: "Lens Shift Up", cmd: "C5D" },
+  lens_shift_down: { name: "Lens Shift Down", cmd: "C5E" },
+  lens_shift_left: { name: "Lens Shift Left", cmd: "C5F" },
+  lens_shift_right: { name: "Lens Shift Right", cmd: "C60" },
+};
+const PIPELINED_COMMANDS = new Set(
+  Object.values(LENS_COMMANDS).map((l) => l.cmd),
+);
+
+// On-screen menu navigation, equivalent to the remote's menu keys
+const MENU_COMMANDS = {
+  menu_up: { name: "Menu Up", cmd: "C3C" },
+  menu_down: { name: "Menu Down", cmd: "C3D" },
+  menu_left: { name: "Menu Left", cmd: "C3B" },
+  menu_right: { name: "Menu Right", cmd: "C3A" },
+  menu_enter: { name: "Menu Enter / Select", cmd: "C3F" },
+  display_clear: { name: "Clear On-Screen Display", cmd: "C1E" },
+};
+
+// Screen size and digital zoom, as on the remote's SCREEN and D.ZOOM keys
+const SCREEN_COMMANDS = {
+  screen_normal: { name: "Screen Normal Size", cmd: "C0F" },
+  screen_full: { name: "Screen Full Size", cmd: "C10" },
+  dzoom_in: { name: "Digital Zoom +", cmd: "C30" },
+  dzoom_out: { name: "Digital Zoom -", cmd: "C31" },
+};
+
+// Keystone correction steps. `axis` and `step` track the net correction
+// sent, as the projector can neither report nor reset it.
+const KEYSTONE_COMMANDS = {
+  keystone_up: {
+    name: "Keystone ↑ (reduce top)",
+    cmd: "C8E",
+    axis: "vertical",
+    step: 1,
+  },
+  keystone_down: {
+    name: "Keystone ↓ (reduce bottom)",
+    cmd: "C8F",
+    axis: "vertical",
+    step: -1,
+  },
+  keystone_right: {
+    name: "Keystone → (reduce right)",
+    cmd: "C90",
+    axis: "horizontal",
+    step: 1,
+  },
+  keystone_left: {
+    name: "Keystone ← (reduce left)",
+    cmd: "C91",
+    axis: "horizontal",
+    step: -1,
+  },
+};
+
+// Default colours of the multi-state power feedback, keyed by CR0 state
+const POWER_STYLE_DEFAULTS = {
+  "00": combineRgb(0, 204, 0),
+  80: combineRgb(0, 0, 0),
+  40: combineRgb(255, 160, 0),
+  20: combineRgb(255, 160, 0),
+  10: combineRgb(204, 0, 0),
+};
+
+// Less common CR0 states shown like the state they behave as
+const POWER_STATE_GROUPS = {
+  28: "20",
+  24: "20",
+  21: "20",
+  "2C": "20",
+  88: "80",
+  81: "80",
+  "8C": "80",
+  "04": "80",
+};
+
+// Shutdowns after a lamp failure or over temperature, shown in the power
+// colours like a failure rather than as ordinary cooling or standby
+const FAULT_SHUTDOWN_STATES = new Set(["21", "28", "81", "88"]);
+
+// Input slot selection commands
+const INPUT_COMMANDS = { 1: "C05", 2: "C06", 3: "C07", 4: "C08" };
+
+// Power management turns the lamp off after five minutes without an input
+// signal; the only signal information the DHD800 reports
+const NO_SIGNAL_STATES = new Set(["24", "04"]);
+
+// Causes behind the failure and fault shutdown states. The DHD800 has no
+// error code read, so the detail is pieced together from the state and the
+// lamp and temperature reads; fan faults are not reported at all.
+const FAILURE_CAUSES = {
+  10: "Power supply abnormal (filter or shutter fault)",
+  21: "Lamp failure",
+  81: "Lamp failure",
+  28: "Over temperature",
+  88: "Over temperature",
+};
+
+// Countdown and every flavour of cooling down
+const TRANSITION_STATES = new Set(["40", "20", "28", "24", "21", "2C"]);
+
+// Input and picture commands the projector ignores until it has warmed up.
+// With the hold option these wait for Power ON instead of being lost.
+const WARMUP_COMMANDS = new Set([
+  ...Object.values(INPUT_COMMANDS),
+  "C0D",
+  "C0E",
+  "C27",
+  ...Object.values(SCREEN_COMMANDS).map((c) => c.cmd),
+  ...Object.values(KEYSTONE_COMMANDS).map((c) => c.cmd),
+]);
+
+// Held commands are dropped if the projector has not come on by then
+const WARMUP_HOLD_TIMEOUT = 300000;
+// The projector acknowledges but ignores commands for this long after POWER
+// ON from Standby, and while it switches inputs
+const POWER_ON_SETTLE_TIME = 7000;
+const INPUT_SWITCH_TIME = 5000;
+const INPUT_COMMAND_SET = new Set(Object.values(INPUT_COMMANDS));
+
+/**
+ * Build a single-press button preset.
+ */
+function buttonPreset(category, name, text, actionId, options = {}) {
+  return {
+    type: "button",
+    category,
+    name,
+    style: {
+      text,
+      size: "18",
+      color: combineRgb(255, 255, 255),
+      bgcolor: combineRgb(0, 0, 0),
+    },
+    steps: [{ down: [{ actionId, options }], up: [] }],
+    feedbacks: [],
+  };
+}
+
+// Default time between status polls while the projector is idle
+const POLL_INTERVAL = 30000;
+
+// Poll faster while the projector is changing state, and for a while after a
+// power or input command (input switching alone takes about 5 seconds).
+const FAST_POLL_INTERVAL = 2000;
+const FAST_POLL_WINDOW = 10000;
+const FAST_POLL_COMMANDS = new Set([
+  "C00",
+  "C01",
+  ...Object.values(INPUT_COMMANDS),
+]);
+
+// Give up on a connect or login that has not reached HELLO by then
+const LOGIN_TIMEOUT = 10000;
+// and start a fresh connection after this delay
+const CONNECT_RETRY_DELAY = 5000;
+
+// After a rejected password, wait before logging in again and double the
+// wait on every further rejection. Hammering the projector with a wrong PIN
+// can lock out its network port.
+const AUTH_RETRY_DELAY = 30000;
+const AUTH_RETRY_MAX = 600000;
+
+// Consecutive failed polls before the projector is reported offline
+const MISSED_POLLS = 3;
+
+// Companion status reported for each connection state
+const CONNECTION_STATUS = {
+  connecting: "connecting",
+  ok: "ok",
+  failure: "connection_failure",
+  auth_failed: "bad_config",
+  offline: "unknown_warning",
+};
+
+// Module status of the worst projector wins when several are configured
+const STATUS_SEVERITY = [
+  "ok",
+  "connecting",
+  "unknown_warning",
+  "connection_failure",
+  "bad_config",
+];
+
+// Projectors per instance: the main connection plus up to three extra ones
+const MAX_PROJECTORS = 4;
+
+// Settings the extra projectors take from the main configuration
+const SHARED_SETTINGS = [
+  "poll_interval",
+  "missed_polls",
+  "power_cycle_guard",
+  "hold_during_warmup",
+  ...Object.keys(INPUT_COMMANDS).map((slot) => `input_${slot}_name`),
+];
+
+// Commands accepted from the raw command and query actions: functional
+// commands ("C1C", or expanded "CF <command> <parameter>") and status reads
+// ("CR3", or expanded "CR <command>"). Anything else, including embedded line
+// breaks that would split the frame, is refused.
+const RAW_COMMAND = /^C[0-9A-F]{2}$|^CF( [0-9A-Z.+-]+)+$/;
+const RAW_QUERY = /^CR[0-9A-F]$|^CR [0-9A-Z]+$/;
+
+// Functional execution commands are acknowledged with ACK (0x06)
+const ACK = "\x06";
+
+// CR0 answers "02" while the projector cannot accept RS-232C commands; the
+// reference asks for the status read to be re-sent.
+const BUSY = "02";
+const BUSY_RETRIES = 3;
+
+// Ways of reaching the projector. Only the direct network connection has the
+// PASSWORD:/HELLO login; a serial port (local or behind a serial-to-IP server)
+// accepts commands straight away.
+const TRANSPORTS = {
+  tcp: "Network (TCP with password login)",
+  tcp_raw: "Serial server (raw TCP, no login)",
+  serial: "Local serial port",
+};
+
+/**
+ * Serial port connection exposing the same events and methods as TCPHelper
+ * ("connect", "data", "error", "end", send and destroy), so the session code
+ * does not care which transport is in use. Reopens the port after errors.
+ */
+class SerialTransport extends EventEmitter {
+  constructor(path, baudRate) {
+    super();
+    this.path = path;
+    this.baudRate = baudRate;
+    this.port = undefined;
+    this.destroyed = false;
+    this.reconnectTimer = undefined;
+    // Let caller install event handlers first
+    setImmediate(() => this.connect());
+  }
+
+  connect() {
+    if (this.destroyed) return;
+    // Loaded on demand so network-only setups never touch the native binding.
+    // Runs outside the caller's stack, so failures are reported as events.
+    let SerialPort;
+    try {
+      ({ SerialPort } = require("serialport"));
+    } catch (err) {
+      this.emit(
+        "error",
+        new Error(`Serial support unavailable: ${err.message}`),
+      );
+      return;
+    }
+    try {
+      this.port = new SerialPort({
+        path: this.path,
+        baudRate: this.baudRate,
+        dataBits: 8,
+        parity: "none",
+        stopBits: 1,
+        autoOpen: false,
+      });
+    } catch (err) {
+      this.emit("error", err);
+      this.queueReconnect();
+      return;
+    }
+    this.port.on("data", (data) => this.emit("data", data));
+    this.port.on("error", (err) => this.emit("error", err));
+    this.port.on("close", () => {
+      this.emit("end");
+      this.queueReconnect();
+    });
+    this.port.open((err) => {
+      if (err) {
+        this.emit("error", err);
+        this.queueReconnect();
+      } else {
+        this.emit("connect");
+      }
+    });
+  }
+
+  queueReconnect() {
+    if (this.destroyed || this.reconnectTimer) return;
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = undefined;
+      this.connect();
+    }, 2000);
+  }
+
+  send(message) {
+    return new Promise((resolve, reject) => {
+      if (!this.port?.isOpen) {
+        reject(new Error("Serial port is not open"));
+        return;
+      }
+      this.port.write(message, (err) => (err ? reject(err) : resolve(true)));
+    });
+  }
+
+  destroy() {
+    this.destroyed = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = undefined;
+    }
+    this.removeAllListeners();
+    if (this.port) {
+      this.port.removeAllListeners();
+      if (this.port.isOpen) this.port.close();
+      this.port = undefined;
+    }
+  }
+}
+
+/**
+ * Classify a single reply line for the command that produced it.
+ */
+function parseResponse(cmd, line) {
+  if (line === ACK) return { type: "ack" };
+  if (line === "?") return { type: "error" };
+  if (cmd === "CR0" && line === BUSY) return { type: "busy" };
+  return { type: "data", value: line };
+}
+
+/**
+ * Companion upgrade scripts, run once per saved configuration in order.
+ * Only ever append to this list.
+ */
+const UPGRADE_SCRIPTS = [
+  // input_1..input_4 were merged into a single Select Input action
+  function (_context, props) {
+    const updatedActions = [];
+    for (const action of props.actions) {
+      const slot = /^input_([1-4])$/.exec(action.actionId)?.[1];
+      if (!slot) continue;
+      action.actionId = "select_input";
+      action.options = { ...action.options, input: slot };
+      updatedActions.push(action);
+    }
+    return { updatedConfig: null, updatedActions, updatedFeedbacks: [] };
+  },
+];
+
+/**
+ * Configured name of an input slot, or "Input <n>" when it has none.
+ */
+function inputName(config, slot) {
+  if (!INPUT_COMMANDS[slot]) return undefined;
+  return config?.[`input_${slot}_name`]?.trim() || `Input ${slot}`;
+}
+
+/**
+ * Find the input slot meant by `text`: a slot number or an input name
+ * (case-insensitive).
+ */
+function findInput(config, text) {
+  const wanted = String(text ?? "")
+    .trim()
+    .toLowerCase();
+  if (INPUT_COMMANDS[wanted]) return wanted;
+  return Object.keys(INPUT_COMMANDS).find(
+    (slot) => inputName(config, slot).toLowerCase() === wanted,
+  );
+}
+
+/**
+ * Turn a projector or group name into an id usable in variable names,
+ * e.g. "Left Wing" -> "left_wing".
+ */
+function variableName(name) {
+  return (name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+// Variable text for each power, temperature, connection, shutter and
+// installation state
+const POWER_STATE_LABELS = {
+  "00": "Power ON",
+  80: "Standby",
+  40: "Countdown",
+  20: "Cooling",
+  10: "Failure",
+  28: "Cooling (over temperature)",
+  88: "Standby (over temperature)",
+  24: "Cooling (no signal)",
+  "04": "Power management (no signal)",
+  21: "Cooling (lamp failure)",
+  81: "Standby (lamp failure)",
+  "2C": "Cooling (shutter management)",
+  "8C": "Standby (shutter management)",
+};
+const TEMPERATURE_STATE_LABELS = {
+  normal: "Normal",
+  over: "Over temperature",
+  fault: "Sensor fault",
+};
+const CONNECTION_STATE_LABELS = {
+  connecting: "Connecting",
+  ok: "Connected",
+  failure: "Connection failed",
+  auth_failed: "Authentication failed",
+  offline: "Offline",
+};
+const SHUTTER_STATE_LABELS = {
+  open: "Open",
+  closed: "Closed",
+};
+// First digit of the CR7 lamp read
+const LAMP_MODE_LABELS = {
+  0: "Dual lamp",
+  1: "Single lamp (lamp 1)",
+  2: "Single lamp (lamp 2)",
+};
+// CR4 reports how the picture is flipped rather than the two menu flags
+const INSTALLATION_STATES = {
+  11: { id: "front", label: "Front", ceiling: false, rear: false },
+  "01": { id: "rear", label: "Rear", ceiling: false, rear: true },
+  "00": { id: "ceiling", label: "Ceiling", ceiling: true, rear: false },
+  10: { id: "rear_ceiling", label: "Rear ceiling", ceiling: true, rear: true },
+};
+
+/**
+ * Connection, command queue and polled state of one projector. The module
+ * instance owns one session per configured projector; logging, variables,
+ * feedback checks and status reports are passed up to it.
+ */
+class ProjectorSession {
+  /**
+   * @param {ChristieDHD800Instance} instance - owning module instance
+   * @param {object} target - { id, name, config } from getProjectorConfigs()
+   * @param {object} naming - `primary` also writes the unsuffixed variables,
+   *   `suffixed` adds the `_<id>` variables used with several projectors
+   */
+  constructor(instance, target, naming) {
+    this.instance = instance;
+    this.id = target.id;
+    this.label = target.name;
+    this.config = target.config;
+    this.primary = naming.primary;
+    this.suffixed = naming.suffixed;
+    this.status = undefined;
+    this.statusMessage = undefined;
     this.socket = undefined;
     this.pollTimer = undefined;
+    this.fastPollUntil = 0;
+    this.loginTimer = undefined;
+    this.retryTimer = undefined;
+    this.authFailures = 0;
+    this.connectionState = undefined;
+    this.missedPolls = 0;
+    this.authenticated = false;
+    this.passwordSent = false;
+    this.receiveBuffer = "";
+    this.commandQueue = [];
+    this.activeCommand = undefined;
+    this.queueTimer = undefined;
+    this.stateRequest = undefined;
+    this.lensRepeat = undefined;
+    this.pollDeferred = false;
     this.powerState = undefined;
     this.inputState = undefined;
-    this.POWER_STATE_LABELS = {
-      "00": "Power ON",
-      80: "Standby",
-      40: "Countdown",
-      20: "Cooling",
-      10: "Failure",
+    this.lampHours = [];
+    this.lampMode = undefined;
+    this.lampState = undefined;
+    this.temperatures = [];
+    this.shutterState = undefined;
+    this.installationState = undefined;
+    this.errorDetail = "";
+    this.pendingPowerOn = false;
+    this.lastPowerCommand = undefined;
+    this.warmingUp = false;
+    this.heldCommands = [];
+    this.holdTimer = undefined;
+    this.settleTimer = undefined;
+    this.releaseTimer = undefined;
+    this.releasing = false;
+    this.keystoneSteps = { vertical: 0, horizontal: 0 };
+  }
+
+  log(level, message) {
+    this.instance.log(
+      level,
+      this.suffixed ? `${this.label}: ${message}` : message,
+    );
+  }
+
+  setVariableValues(values) {
+    const named = this.primary ? { ...values } : {};
+    if (this.suffixed) {
+      for (const [id, value] of Object.entries(values)) {
+        named[`${id}_${this.id}`] = value;
+      }
+    }
+    this.instance.setVariableValues(named);
+  }
+
+  checkFeedbacks(...feedbackIds) {
+    this.instance.checkFeedbacks(...feedbackIds);
+  }
+
+  updateStatus(status, message) {
+    this.status = status;
+    this.statusMessage = message;
+    this.instance.updateProjectorStatus();
+  }
+
+  destroy() {
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = undefined;
+    }
+    this.clearLoginTimer();
+    this.clearRetry();
+    this.stopLensRepeat();
+    this.dropHeldCommands("module destroyed");
+    this.resetSession(new Error("Module destroyed"));
+    if (this.socket) {
+      if (NETWORK_DEBUG) {
+        this.log("debug", "Destroying active socket");
+      }
+      this.socket.destroy();
+      delete this.socket;
+    }
+  }
+
+  async requestState() {
+    this.powerState = await this.readStatus("CR0", /^[0-9A-F]{2}$/i);
+    this.inputState = await this.readStatus("CR1", /^[1-4]$/);
+    if (NETWORK_DEBUG) {
+      this.log(
+        "debug",
+        `Status response power=${this.powerState} input=${this.inputState}`,
+      );
+    }
+    this.setVariableValues({
+      power_state: POWER_STATE_LABELS[this.powerState] || this.powerState,
+      input_source: parseInt(this.inputState, 10),
+      input_name: inputName(this.config, this.inputState),
+      signal_present: NO_SIGNAL_STATES.has(this.powerState) ? "No" : "Unknown",
+    });
+    // There is no shutter status read; once the projector leaves Power ON
+    // the last commanded state can no longer be trusted.
+    if (this.powerState !== "00" && this.shutterState !== undefined) {
+      this.updateShutterState(undefined);
+    }
+    this.checkFeedbacks();
+    this.releasePendingPowerOn();
+    this.releaseHeldCommands();
+
+    // Lamp, temperature and installation reads are extras; a projector that
+    // rejects them still counts as responding.
+    for (const read of [
+      () => this.requestLampState(),
+      () => this.requestTemperatureState(),
+      () => this.requestInstallationState(),
+    ]) {
+      try {
+        await read();
+      } catch (err) {
+        if (NETWORK_DEBUG) {
+          this.log("debug", `Status read failed: ${err.message}`);
+        }
+      }
+    }
+    this.updateErrorDetail();
+  }
+
+  /**
+   * Describe why the projector failed, using the lamp and temperature reads
+   * that follow the status read, and warn once when the cause changes.
+   */
+  updateErrorDetail() {
+    const cause = FAILURE_CAUSES[this.powerState];
+    let detail = "";
+    if (cause) {
+      const parts = [cause];
+      this.temperatures.forEach((t, i) => {
+        if (t === null) parts.push(`temperature sensor ${i + 1} fault`);
+      });
+      const readings = this.temperatures.filter((t) => t !== null);
+      if (readings.length > 0) {
+        parts.push(`highest temperature ${Math.max(...readings)} °C`);
+      }
+      const lamps = this.getLampStatusLabel();
+      if (lamps && lamps !== cause) parts.push(`lamps: ${lamps}`);
+      detail = parts.join("; ");
+    }
+    if (detail === this.errorDetail) return;
+
+    this.errorDetail = detail;
+    this.setVariableValues({ error_detail: detail });
+    if (detail) {
+      this.log("warn", `Projector failure: ${detail}`);
+    } else {
+      this.log("info", "Projector failure cleared");
+    }
+  }
+
+  async requestLampState() {
+    // CR3 answers the hours of each lamp separated by a space
+    const hours = await this.readStatus("CR3", /^\d+( +\d+)*$/);
+    this.lampHours = hours.split(/ +/).map((h) => parseInt(h, 10));
+    // CR7: first digit is the lamp mode, second a bit mask of lit lamps
+    [this.lampMode, this.lampState] = await this.readStatus(
+      "CR7",
+      /^[0-9A-F]{2}$/i,
+    );
+
+    const values = {
+      lamp_hours: Math.max(...this.lampHours),
+      lamp_status: this.getLampStatusLabel(),
+      lamp_mode: LAMP_MODE_LABELS[this.lampMode] || "Unknown",
     };
+    this.lampHours.forEach((h, i) => {
+      values[`lamp${i + 1}_hours`] = h;
+    });
+    this.setVariableValues(values);
+    this.checkFeedbacks("lamp_hours_above", "lamp_mode");
+  }
+
+  async requestTemperatureState() {
+    // CR6 answers one reading per sensor, e.g. " 31.5  35.2 -05.5 E00.0".
+    // A leading "E" means the sensor could not be read.
+    const reply = await this.readStatus(
+      "CR6",
+      /^[-E]?\d+\.\d( +[-E]?\d+\.\d)*$/,
+    );
+    this.temperatures = reply
+      .split(/ +/)
+      .map((t) => (t.startsWith("E") ? null : parseFloat(t)));
+
+    const values = {
+      temperature_status: TEMPERATURE_STATE_LABELS[this.getTemperatureState()],
+    };
+    this.temperatures.forEach((t, i) => {
+      values[`temperature_${i + 1}`] = t === null ? "Error" : t;
+    });
+    this.setVariableValues(values);
+    this.checkFeedbacks("temperature_above");
   }
 
-  requestState(socket, onFinish) {
-    let step = 0;
-    const responses = [];
-    const parse = (str) => {
-      const match =
-        step === 0 ? str.match(/([0-9A-F]{2})/i) : str.match(/([0-9A-F])/i);
-      if (match) {
-        responses.push(match[1]);
+  async requestInstallationState() {
+    this.installationState = await this.readStatus("CR4", /^[01]{2}$/);
+    const installation = INSTALLATION_STATES[this.installationState];
+    this.setVariableValues({
+      installation: installation.label,
+      ceiling_mode: installation.ceiling ? "On" : "Off",
+      rear_mode: installation.rear ? "On" : "Off",
+    });
+    this.checkFeedbacks("installation");
+  }
+
+  getTemperatureState() {
+    if (this.powerState === "28" || this.powerState === "88") return "over";
+    if (this.temperatures.includes(null)) return "fault";
+    return "normal";
+  }
+
+  getLampStatusLabel() {
+    // Standby/cooling after the projector shut down on a lamp failure
+    if (this.powerState === "21" || this.powerState === "81") {
+      return "Lamp failure";
+    }
+    const lit = parseInt(this.lampState, 16);
+    if (Number.isNaN(lit)) return undefined;
+    if ((lit & 3) === 3) return "Lamp 1 & 2 on";
+    if (lit & 1) return "Lamp 1 on";
+    if (lit & 2) return "Lamp 2 on";
+    return "Off";
+  }
+
+  updateShutterState(state) {
+    this.shutterState = state;
+    this.setVariableValues({
+      shutter_state: SHUTTER_STATE_LABELS[state] || "Unknown",
+    });
+    this.checkFeedbacks("shutter_state");
+  }
+
+  /**
+   * Describe what is missing from the configuration for the selected
+   * transport, or return undefined when it is usable.
+   */
+  getConfigError() {
+    if (this.config?.transport === "serial") {
+      return this.config.serial_path
+        ? undefined
+        : "Serial device not configured";
+    }
+    return this.config?.host ? undefined : "Host not configured";
+  }
+
+  needsLogin() {
+    return (this.config?.transport || "tcp") === "tcp";
+  }
+
+  createTransport() {
+    if (this.config.transport === "serial") {
+      if (NETWORK_DEBUG) {
+        this.log("debug", `Opening serial port ${this.config.serial_path}`);
+      }
+      return new SerialTransport(
+        this.config.serial_path,
+        Number(this.config.baud_rate) || 19200,
+      );
+    }
+    if (NETWORK_DEBUG) {
+      this.log(
+        "debug",
+        `Creating TCP connection to ${this.config.host}:${this.config.port || 10000}`,
+      );
+    }
+    return new TCPHelper(this.config.host, this.config.port || 10000);
+  }
+
+  initConnection() {
+    if (this.socket) {
+      if (NETWORK_DEBUG) {
+        this.log("debug", "initConnection called, cleaning up existing socket");
+      }
+      this.socket.destroy();
+      delete this.socket;
+    }
+    this.resetSession(new Error("Connection reset"));
+    this.clearLoginTimer();
+    this.clearRetry();
+    this.connectionState = undefined;
+    this.missedPolls = 0;
+    if (NETWORK_DEBUG) {
+      this.log("debug", "Connection state reset");
+    }
+    const configError = this.getConfigError();
+    if (configError) {
+      this.updateStatus("bad_config", configError);
+      return;
+    }
+
+    this.socket = this.createTransport();
+    this.setConnectionState("connecting");
+    this.startLoginTimer();
+
+    // TCPHelper's own status_change events are not forwarded: an open socket
+    // is not a usable session until the projector has accepted the password.
+    this.socket.on("error", (err) => {
+      // Reconnect attempts fail every few seconds; only log the first one
+      if (this.connectionState !== "failure") {
+        this.log("error", `Network error: ${err.message}`);
+      }
+      if (NETWORK_DEBUG) {
+        this.log("debug", `Error details: ${JSON.stringify(err)}`);
+      }
+      this.setConnectionState("failure", err.message);
+      this.resetSession(err);
+    });
+
+    this.socket.on("connect", () => {
+      if (NETWORK_DEBUG) {
+        this.log("debug", "Socket connected");
+      }
+      this.authenticated = false;
+      this.passwordSent = false;
+      this.receiveBuffer = "";
+      if (this.needsLogin()) {
+        // Wait for PASSWORD: prompt before sending anything
+        this.startLoginTimer();
+      } else {
+        this.sessionReady();
+      }
+    });
+
+    this.socket.on("end", () => {
+      if (NETWORK_DEBUG) {
+        this.log("debug", "Socket closed by projector");
+      }
+      if (this.passwordSent && !this.authenticated) {
+        this.authFailed("Connection closed after the password was sent");
+        return;
+      }
+      this.resetSession(new Error("Connection closed"));
+      this.setConnectionState("connecting", "Connection closed");
+      this.startLoginTimer();
+    });
+
+    this.socket.on("data", (data) => this.processData(data.toString()));
+  }
+
+  setConnectionState(state, message) {
+    if (state === this.connectionState) return;
+    this.connectionState = state;
+    this.updateStatus(CONNECTION_STATUS[state], message);
+    this.setVariableValues({
+      connection_state: CONNECTION_STATE_LABELS[state],
+    });
+    this.checkFeedbacks("projector_offline");
+  }
+
+  /**
+   * Fail the connection if it has not authenticated in time. A connect to an
+   * unplugged projector can otherwise hang for minutes, holding the queue.
+   */
+  startLoginTimer() {
+    this.clearLoginTimer();
+    this.loginTimer = setTimeout(() => {
+      this.loginTimer = undefined;
+      if (this.passwordSent && !this.authenticated) {
+        this.authFailed("No HELLO after password");
+        return;
+      }
+      const err = new Error("Timed out connecting to projector");
+      if (this.connectionState !== "failure") {
+        this.log("error", err.message);
+      }
+      this.setConnectionState("failure", err.message);
+      this.resetSession(err);
+      // A socket that connected but never got to HELLO is not retried by
+      // the TCPHelper, so start over with a new one
+      this.closeSocket();
+      this.scheduleRetry(CONNECT_RETRY_DELAY);
+    }, LOGIN_TIMEOUT);
+  }
+
+  clearLoginTimer() {
+    if (this.loginTimer) {
+      clearTimeout(this.loginTimer);
+      this.loginTimer = undefined;
+    }
+  }
+
+  /**
+   * Close the connection after a rejected login and try again later. The
+   * TCPHelper would otherwise reconnect and resend the wrong PIN every few
+   * seconds.
+   */
+  authFailed(reason) {
+    this.clearLoginTimer();
+    this.resetSession(new Error("Authentication failed"));
+    this.closeSocket();
+
+    const delay = Math.min(
+      AUTH_RETRY_DELAY * 2 ** this.authFailures,
+      AUTH_RETRY_MAX,
+    );
+    this.authFailures += 1;
+    this.log(
+      "error",
+      `Authentication failed: ${reason}. Check the projector password; retrying in ${delay / 1000}s`,
+    );
+    this.setConnectionState("auth_failed", reason);
+    this.scheduleRetry(delay);
+  }
+
+  closeSocket() {
+    if (this.socket) {
+      this.socket.destroy();
+      delete this.socket;
+    }
+  }
+
+  scheduleRetry(delay) {
+    this.clearRetry();
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = undefined;
+      this.initConnection();
+    }, delay);
+  }
+
+  clearRetry() {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = undefined;
+    }
+  }
+
+  /**
+   * Drop the authenticated session and fail every queued command so stale
+   * button presses are not replayed once the connection comes back.
+   */
+  resetSession(err) {
+    this.authenticated = false;
+    this.passwordSent = false;
+    this.receiveBuffer = "";
+    if (this.queueTimer) {
+      clearTimeout(this.queueTimer);
+      this.queueTimer = undefined;
+    }
+    const pending = this.activeCommand
+      ? [this.activeCommand, ...this.commandQueue]
+      : this.commandQueue;
+    this.activeCommand = undefined;
+    this.commandQueue = [];
+    for (const entry of pending) {
+      clearTimeout(entry.timer);
+      entry.reject(err);
+    }
+  }
+
+  processData(str) {
+    if (NETWORK_DEBUG) {
+      this.log("debug", `Received data: ${JSON.stringify(str)}`);
+    }
+    this.receiveBuffer += str;
+
+    if (!this.authenticated) {
+      // The prompts are matched on the raw buffer as PASSWORD: is not
+      // necessarily terminated. Nothing is sent before HELLO, so whatever
+      // has been buffered up to that point can be discarded.
+      if (!this.passwordSent && /PASSWORD:/i.test(this.receiveBuffer)) {
+        if (NETWORK_DEBUG) {
+          this.log("debug", "Sending password");
+        }
+        this.receiveBuffer = "";
+        this.socket
+          .send((this.config.password || "") + "\r")
+          .catch((err) => this.log("error", `Network error: ${err.message}`));
+        this.passwordSent = true;
+      } else if (this.passwordSent && /HELLO/i.test(this.receiveBuffer)) {
         if (NETWORK_DEBUG) {
+          this.log("debug", "Session authenticated");
+        }
+        this.receiveBuffer = "";
+        this.sessionReady();
+      } else if (this.passwordSent && /PASSWORD:/i.test(this.receiveBuffer)) {
+        // Asked again: the PIN was wrong
+        this.authFailed("Password rejected");
+      }
+      return;
+    }
+
+    const lines = this.receiveBuffer.split("\r");
+    this.receiveBuffer = lines.pop();
+    for (const raw of lines) {
+      const line = raw.replace(/\n/g, "").trim();
+      if (line) this.handleLine(line);
+    }
+  }
+
+  // The projector accepts commands from here on
+  sessionReady() {
+    this.authenticated = true;
+    this.clearLoginTimer();
+    this.missedPolls = 0;
+    this.authFailures = 0;
+    this.setConnectionState("ok");
+    this.processQueue();
+    this.queryState();
+  }
+
+  /**
+   * Match a complete reply line against the command in flight. Echoes and
+   * replies that do not fit the command type (e.g. a late ACK while a status
+   * read is pending) are dropped rather than resolving the wrong request.
+   */
+  handleLine(line) {
+    const entry = this.activeCommand;
+    if (!entry || line === entry.cmd) {
+      if (NETWORK_DEBUG) {
+        this.log("debug", `Ignoring unsolicited line ${JSON.stringify(line)}`);
+      }
+      return;
+    }
+
+    const response = parseResponse(entry.cmd, line);
+    const isRead = entry.cmd.startsWith("CR");
+    if (
+      (response.type === "ack" && isRead) ||
+      (response.type === "data" && !isRead)
+    ) {
+      if (NETWORK_DEBUG) {
+        this.log(
+          "debug",
+          `Ignoring ${JSON.stringify(line)} while waiting for ${entry.cmd}`,
+        );
+      }
+      return;
+    }
+
+    if (response.type === "error") {
+      this.finishCommand(
+        undefined,
+        new Error(`Projector rejected ${entry.cmd} (unknown command)`),
+      );
+    } else if (response.type === "busy") {
+      entry.retries = (entry.retries || 0) + 1;
+      if (entry.retries > BUSY_RETRIES) {
+        this.finishCommand(undefined, new Error("Projector busy"));
+      } else {
+        this.retryCommand();
+      }
+    } else {
+      this.finishCommand(response.value);
+    }
+  }
+
+  /**
+   * Queue a raw command for the projector. Resolves with the reply data for
+   * status reads (undefined for acknowledged commands), or rejects when the
+   * projector answers "?", times out or the connection is lost.
+   */
+  enqueue(cmd) {
+    // Fail fast rather than holding presses until the projector is back
+    if (
+      this.connectionState === "failure" ||
+      this.connectionState === "auth_failed"
+    ) {
+      return Promise.reject(
+        new Error(CONNECTION_STATE_LABELS[this.connectionState]),
+      );
+    }
+    return new Promise((resolve, reject) => {
+      this.commandQueue.push({ cmd, resolve, reject });
+      this.processQueue();
+    });
+  }
+
+  /**
+   * Run a status read (e.g. CR0) and check the reply against `pattern`.
+   */
+  async readStatus(cmd, pattern) {
+    const value = await this.enqueue(cmd);
+    if (!pattern.test(value)) {
+      throw new Error(`Unexpected reply to ${cmd}: ${JSON.stringify(value)}`);
+    }
+    return value;
+  }
+
+  processQueue() {
+    if (!this.authenticated || this.activeCommand || this.queueTimer) return;
+    const entry = this.commandQueue.shift();
+    if (!entry) return;
+
+    this.activeCommand = entry;
+    entry.timer = setTimeout(() => {
+      this.finishCommand(
+        undefined,
+        new Error(`No response to ${entry.cmd} within ${COMMAND_TIMEOUT}ms`),
+      );
+    }, COMMAND_TIMEOUT);
+    if (NETWORK_DEBUG) {
+      this.log("debug", `Sending command: '${entry.cmd}'`);
+    }
+    this.socket
+      .send(entry.cmd + "\r")
+      .catch((err) => this.finishCommand(undefined, err));
+  }
+
+  finishCommand(response, err) {
+    const entry = this.activeCommand;
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.activeCommand = undefined;
+    if (err) entry.reject(err);
+    else entry.resolve(response);
+    this.scheduleNext(
+      PIPELINED_COMMANDS.has(entry.cmd)
+        ? LENS_COMMAND_INTERVAL
+        : COMMAND_INTERVAL,
+    );
+  }
+
+  // Put the active command back at the head of the queue
+  retryCommand() {
+    const entry = this.activeCommand;
+    clearTimeout(entry.timer);
+    this.activeCommand = undefined;
+    this.commandQueue.unshift(entry);
+    this.scheduleNext(COMMAND_INTERVAL);
+  }
+
+  scheduleNext(interval) {
+    this.queueTimer = setTimeout(() => {
+      this.queueTimer = undefined;
+      this.processQueue();
+    }, interval);
+  }
+
+  /**
+   * Switch the projector on. While it is still cooling the projector ignores
+   * C00, so the request is held and sent once it reaches Standby.
+   */
+  async powerOn() {
+    const configError = this.getConfigError();
+    if (configError) {
+      this.log("error", configError);
+      return false;
+    }
+
+    const state = POWER_STATE_GROUPS[this.powerState] || this.powerState;
+    if (state === "20") {
+      this.pendingPowerOn = true;
+      this.warmingUp = true;
+      this.log(
+        "info",
+        "Projector is cooling; Power On will be sent once it reaches Standby",
+      );
+      return true;
+    }
+    if (this.powerCycleBlocked("C00")) return false;
+    // Set before sending so an input command right behind it is held
+    this.warmingUp = true;
+    if (await this.sendPowerCommand("C00")) return true;
+    this.warmingUp = false;
+    this.dropHeldCommands("Power On failed");
+    return false;
+  }
+
+  async powerOff() {
+    const configError = this.getConfigError();
+    if (configError) {
+      this.log("error", configError);
+      return false;
+    }
+
+    this.pendingPowerOn = false;
+    this.warmingUp = false;
+    this.dropHeldCommands("Power Off requested");
+    if (this.powerCycleBlocked("C01")) return false;
+    return this.sendPowerCommand("C01");
+  }
+
+  async sendPowerCommand(cmd) {
+    if (!(await this.sendCommand(cmd))) return false;
+    this.lastPowerCommand = { cmd, time: Date.now() };
+    return true;
+  }
+
+  // Send a Power On held back during cooling once the projector is in Standby
+  releasePendingPowerOn() {
+    if (!this.pendingPowerOn) return;
+    const state = POWER_STATE_GROUPS[this.powerState] || this.powerState;
+    if (state === "00") {
+      this.pendingPowerOn = false;
+      return;
+    }
+    if (state !== "80" || this.powerCycleRemaining("C00") > 0) return;
+    this.pendingPowerOn = false;
+    this.log("info", "Projector reached Standby; sending queued Power On");
+    this.sendPowerCommand("C00");
+  }
+
+  /**
+   * Hold `cmd` until the projector reports Power ON. Resolves with the
+   * outcome of the replayed command, or false if it is dropped.
+   */
+  holdCommand(cmd) {
+    return new Promise((resolve) => {
+      this.heldCommands.push({ cmd, resolve });
+      this.log("info", `Holding ${cmd} until the projector has warmed up`);
+      this.updateHeldCount();
+      if (!this.holdTimer) {
+        this.holdTimer = setTimeout(() => {
+          this.holdTimer = undefined;
+          this.warmingUp = false;
+          this.dropHeldCommands("the projector did not finish warming up");
+        }, WARMUP_HOLD_TIMEOUT);
+      }
+    });
+  }
+
+  // Replay held commands once on, drop them if the projector gave up
+  releaseHeldCommands() {
+    const state = POWER_STATE_GROUPS[this.powerState] || this.powerState;
+    if (state === "00") {
+      // Still ignoring commands right after Power On (the countdown display
+      // may be off, so CR0 can report Power ON straight away)
+      const settling = this.powerOnSettleRemaining();
+      if (settling) {
+        if (!this.settleTimer) {
+          this.settleTimer = setTimeout(() => {
+            this.settleTimer = undefined;
+            this.releaseHeldCommands();
+          }, settling);
+        }
+        return;
+      }
+      this.warmingUp = false;
+    } else if (state === "10") {
+      this.warmingUp = false;
+      this.dropHeldCommands("projector reports a failure");
+      return;
+    } else if (
+      state === "80" &&
+      this.warmingUp &&
+      !this.pendingPowerOn &&
+      Date.now() - (this.lastPowerCommand?.time || 0) > FAST_POLL_WINDOW
+    ) {
+      this.warmingUp = false;
+      this.dropHeldCommands("projector stayed in Standby");
+      return;
+    }
+    if (
+      this.warmingUp ||
+      state === "40" ||
+      this.releasing ||
+      !this.heldCommands.length
+    ) {
+      return;
+    }
+
+    if (this.holdTimer) {
+      clearTimeout(this.holdTimer);
+      this.holdTimer = undefined;
+    }
+    this.releasing = true;
+    this.log(
+      "info",
+      `Projector is on; sending held commands: ${this.heldCommands.length}`,
+    );
+    this.sendNextHeld();
+  }
+
+  /**
+   * Send the held commands one at a time, leaving the projector time to
+   * switch inputs before the next one.
+   */
+  sendNextHeld() {
+    const entry = this.heldCommands.shift();
+    if (!entry) {
+      this.releasing = false;
+      return;
+    }
+    this.updateHeldCount();
+    this.runCommand(entry.cmd).then((sent) => {
+      entry.resolve(sent);
+      if (!this.releasing) return;
+      const wait =
+        sent && INPUT_COMMAND_SET.has(entry.cmd) && this.heldCommands.length
+          ? INPUT_SWITCH_TIME
+          : 0;
+      this.releaseTimer = setTimeout(() => {
+        this.releaseTimer = undefined;
+        this.sendNextHeld();
+      }, wait);
+    });
+  }
+
+  powerOnSettleRemaining() {
+    const last = this.lastPowerCommand;
+    if (last?.cmd !== "C00") return 0;
+    return Math.max(0, last.time + POWER_ON_SETTLE_TIME - Date.now());
+  }
+
+  dropHeldCommands(reason) {
+    const held = this.clearHeldCommands();
+    if (!held.length) return;
+    this.log("warn", `Dropped held commands (${reason}): ${held.length}`);
+    for (const entry of held) entry.resolve(false);
+  }
+
+  clearHeldCommands() {
+    const held = this.heldCommands;
+    this.heldCommands = [];
+    this.releasing = false;
+    for (const timer of ["holdTimer", "settleTimer", "releaseTimer"]) {
+      if (this[timer]) {
+        clearTimeout(this[timer]);
+        this[timer] = undefined;
+      }
+    }
+    if (held.length) this.updateHeldCount();
+    return held;
+  }
+
+  updateHeldCount() {
+    this.setVariableValues({ pending_commands: this.heldCommands.length });
+  }
+
+  /**
+   * Time left before `cmd` may reverse the last power command, when a power
+   * cycle guard is configured.
+   */
+  powerCycleRemaining(cmd) {
+    const guard = (Number(this.config.power_cycle_guard) || 0) * 1000;
+    const last = this.lastPowerCommand;
+    if (!guard || !last || last.cmd === cmd) return 0;
+    return Math.max(0, last.time + guard - Date.now());
+  }
+
+  powerCycleBlocked(cmd) {
+    const remaining = this.powerCycleRemaining(cmd);
+    if (!remaining) return false;
+    this.log(
+      "warn",
+      `${cmd === "C00" ? "Power On" : "Power Off"} blocked for another ${Math.ceil(remaining / 1000)}s to protect the lamp`,
+    );
+    return true;
+  }
+
+  /**
+   * Switch to the input given by slot number or configured name.
+   */
+  async selectInput(input) {
+    const slot = findInput(this.config, input);
+    if (!slot) {
+      this.log("error", `Unknown input ${JSON.stringify(input)}`);
+      return false;
+    }
+    return this.sendCommand(INPUT_COMMANDS[slot]);
+  }
+
+  /**
+   * Step to the next (`step` 1) or previous (-1) input among `slots`,
+   * wrapping around. Starts from the input the projector reports, which
+   * need not be one of `slots`.
+   */
+  async cycleInput(step, slots) {
+    const configError = this.getConfigError();
+    if (configError) {
+      this.log("error", configError);
+      return false;
+    }
+    const cycle = Object.keys(INPUT_COMMANDS).filter((slot) =>
+      slots?.includes(slot),
+    );
+    if (!cycle.length) {
+      this.log("error", "No inputs selected to cycle through");
+      return false;
+    }
+
+    let current;
+    try {
+      current = await this.readStatus("CR1", /^[1-4]$/);
+    } catch (err) {
+      this.log("error", `Unable to read input: ${err.message}`);
+      return false;
+    }
+    this.inputState = current;
+
+    const slot =
+      step > 0
+        ? cycle.find((s) => s > current) || cycle[0]
+        : cycle.findLast((s) => s < current) || cycle[cycle.length - 1];
+    return this.selectInput(slot);
+  }
+
+  /**
+   * Send a command typed in by the user once it passes the format check.
+   */
+  async sendRaw(text) {
+    const cmd = String(text ?? "")
+      .trim()
+      .toUpperCase();
+    if (!RAW_COMMAND.test(cmd) && !RAW_QUERY.test(cmd)) {
+      this.log("error", `Invalid command ${JSON.stringify(text)}`);
+      return false;
+    }
+    // Keep the confirmation, power cycle guard and warm-up handling
+    if (cmd === "C00" || cmd === "C01") {
+      this.log(
+        "error",
+        `Use the Power On / Power Off actions instead of sending ${cmd}`,
+      );
+      return false;
+    }
+    return this.sendCommand(cmd);
+  }
+
+  /**
+   * Run a status read typed in by the user and store the reply in
+   * last_response. Resolves with the reply, or undefined on failure.
+   */
+  async runQuery(text) {
+    const cmd = String(text ?? "")
+      .trim()
+      .toUpperCase();
+    if (!RAW_QUERY.test(cmd)) {
+      this.log("error", `Invalid query ${JSON.stringify(text)}`);
+      return undefined;
+    }
+    const configError = this.getConfigError();
+    if (configError) {
+      this.log("error", configError);
+      return undefined;
+    }
+
+    let reply;
+    try {
+      reply = await this.enqueue(cmd);
+    } catch (err) {
+      this.log("error", `Query ${cmd} failed: ${err.message}`);
+      return undefined;
+    }
+    this.setVariableValues({ last_response: reply });
+    return reply;
+  }
+
+  async stepKeystone(id) {
+    const keystone = KEYSTONE_COMMANDS[id];
+    if (!(await this.runCommand(keystone.cmd))) return false;
+    // Outside Power ON the step is acknowledged but not carried out
+    if (this.powerState === "00") {
+      this.keystoneSteps[keystone.axis] += keystone.step;
+    }
+    return true;
+  }
+
+  /**
+   * Undo the keystone steps sent since the session was created (at start-up
+   * or when the config was saved) by sending the opposite steps. There is no
+   * reset command, and corrections made from the menu or remote are not
+   * known. Only runs while the projector is on, as it ignores the steps
+   * otherwise.
+   */
+  async resetKeystone() {
+    for (const [id, keystone] of Object.entries(KEYSTONE_COMMANDS)) {
+      while (Math.sign(this.keystoneSteps[keystone.axis]) === -keystone.step) {
+        if (this.powerState !== "00") {
           this.log(
-            "debug",
-            `Status response ${match[1]} (all: ${responses.join(",")})`,
+            "warn",
+            "Keystone can only be reset while the projector is on",
           );
+          return false;
         }
-        if (step === 0) {
-          step = 1;
-          socket.send("CR1\r");
-        } else {
-          if (typeof socket.removeListener === "function") {
-            socket.removeListener("data", parse);
-          } else if (typeof socket.off === "function") {
-            socket.off("data", parse);
-          }
-          this.powerState = responses[0];
-          this.inputState = responses[1];
-          this.setVariableValues({
-            power_state:
-              this.POWER_STATE_LABELS[this.powerState] || this.powerState,
-            input_source: parseInt(this.inputState, 10),
-          });
-          this.checkFeedbacks();
-          if (onFinish) onFinish();
-        }
+        if (!(await this.stepKeystone(id))) return false;
       }
+    }
+    return true;
+  }
+
+  async togglePower() {
+    const configError = this.getConfigError();
+    if (configError) {
+      this.log("error", configError);
+      return false;
+    }
+
+    let state;
+    try {
+      state = await this.readStatus("CR0", /^[0-9A-F]{2}$/i);
+    } catch (err) {
+      this.log("error", `Unable to read power state: ${err.message}`);
+      return false;
+    }
+
+    this.powerState = state;
+    if (state === "00") return this.powerOff();
+    if (state === "80") return this.powerOn();
+    if (state === "10") {
+      this.log(
+        "warn",
+        "Projector reports a failure; use Power Off to acknowledge it",
+      );
+    }
+    // Nothing to do while counting down or cooling
+    return false;
+  }
+
+  /**
+   * Step the lens once, or keep re-sending the command until a "stop" action
+   * arrives so a held button moves the lens continuously. Status polls wait
+   * while the lens moves, as any other command breaks the pipelining.
+   */
+  lensControl(cmd, mode) {
+    const configError = this.getConfigError();
+    if (configError) {
+      this.log("error", configError);
+      return false;
+    }
+
+    this.stopLensRepeat();
+    if (mode === "stop") {
+      this.resumePolling();
+      return true;
+    }
+    if (mode !== "start") {
+      const result = this.runCommand(cmd);
+      this.resumePolling();
+      return result;
+    }
+
+    const repeat = {
+      cmd,
+      active: true,
+      timer: setTimeout(() => {
+        this.log(
+          "warn",
+          `Lens command ${cmd} stopped after ${LENS_REPEAT_LIMIT / 1000}s without a stop action`,
+        );
+        this.stopLensRepeat();
+        this.resumePolling();
+      }, LENS_REPEAT_LIMIT),
     };
-    socket.on("data", (d) => parse(d.toString()));
-    socket.send("CR0\r");
+    const next = () => {
+      if (!repeat.active) return;
+      this.enqueue(cmd).then(next, (err) => {
+        if (!repeat.active) return;
+        this.stopLensRepeat();
+        this.log("error", `Command ${cmd} failed: ${err.message}`);
+        this.resumePolling();
+      });
+    };
+    this.lensRepeat = repeat;
+    next();
+    return true;
   }
 
-  init(config) {
+  stopLensRepeat() {
+    if (this.lensRepeat) {
+      this.lensRepeat.active = false;
+      clearTimeout(this.lensRepeat.timer);
+      this.lensRepeat = undefined;
+    }
+  }
+
+  // Run the status poll that was put off while the lens was moving
+  resumePolling() {
+    if (!this.pollDeferred) return;
+    this.pollDeferred = false;
+    this.queryState();
+  }
+
+  async setShutter(state) {
+    if (!(await this.sendCommand(state === "closed" ? "C0D" : "C0E"))) {
+      return false;
+    }
+    this.updateShutterState(state);
+    return true;
+  }
+
+  async toggleShutter() {
+    const configError = this.getConfigError();
+    if (configError) {
+      this.log("error", configError);
+      return false;
+    }
+
+    let state;
+    try {
+      state = await this.readStatus("CR0", /^[0-9A-F]{2}$/i);
+    } catch (err) {
+      this.log("error", `Unable to read power state: ${err.message}`);
+      return false;
+    }
+
+    this.powerState = state;
+    // The projector ACKs video mute in every state but only acts on it
+    // while powered on
+    if (state !== "00") {
+      this.log("warn", "Shutter can only be toggled while the projector is on");
+      return false;
+    }
+    return this.setShutter(this.shutterState === "closed" ? "open" : "closed");
+  }
+
+  /**
+   * Send a command and refresh the projector state once it is acknowledged.
+   */
+  async sendCommand(cmd) {
+    if (!(await this.runCommand(cmd))) return false;
+    if (FAST_POLL_COMMANDS.has(cmd)) {
+      this.fastPollUntil = Date.now() + FAST_POLL_WINDOW;
+    }
+    this.queryState();
+    return true;
+  }
+
+  /**
+   * Send a command without a follow-up status query, for buttons that are
+   * pressed in quick succession such as menu navigation.
+   */
+  async runCommand(cmd) {
     if (NETWORK_DEBUG) {
-      this.log("debug", "Initializing module");
+      this.log("debug", `runCommand called with cmd='${cmd}'`);
     }
-    this.updateStatus("ok");
-    this.config = config;
-    this.setVariableDefinitions([
+    const configError = this.getConfigError();
+    if (configError) {
+      this.log("error", configError);
+      return false;
+    }
+    if (
+      this.config.hold_during_warmup &&
+      WARMUP_COMMANDS.has(cmd) &&
+      (this.warmingUp || this.powerState === "40")
+    ) {
+      return this.holdCommand(cmd);
+    }
+
+    try {
+      await this.enqueue(cmd);
+    } catch (err) {
+      this.log("error", `Command ${cmd} failed: ${err.message}`);
+      return false;
+    }
+    return true;
+  }
+
+  queryState() {
+    if (this.getConfigError() || this.stateRequest) return this.stateRequest;
+    if (this.lensRepeat) {
+      this.pollDeferred = true;
+      return undefined;
+    }
+
+    this.stateRequest = this.requestState()
+      .then(() => this.pollSucceeded())
+      .catch((err) => this.pollFailed(err))
+      .finally(() => {
+        this.stateRequest = undefined;
+        this.schedulePoll();
+      });
+    return this.stateRequest;
+  }
+
+  pollSucceeded() {
+    this.missedPolls = 0;
+    if (this.connectionState === "offline") {
+      this.log("info", "Projector is responding again");
+      this.setConnectionState("ok");
+    }
+  }
+
+  pollFailed(err) {
+    this.missedPolls += 1;
+    if (NETWORK_DEBUG) {
+      this.log("debug", `Status query failed: ${err.message}`);
+    }
+    const limit = Number(this.config.missed_polls) || MISSED_POLLS;
+    // Connection and login failures already report a more specific status
+    if (this.missedPolls >= limit && this.connectionState === "ok") {
+      const message = `No response to ${this.missedPolls} status polls`;
+      this.log("warn", `${message}: ${err.message}`);
+      this.setConnectionState("offline", message);
+    }
+  }
+
+  /**
+   * Schedule the next status poll, fast while the projector is powering up
+   * or down or shortly after a power or input command, otherwise at the
+   * configured idle interval.
+   */
+  schedulePoll() {
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = undefined;
+    }
+    // Nothing to poll once the module is destroyed
+    if (!this.socket) return;
+
+    const fast =
+      TRANSITION_STATES.has(this.powerState) ||
+      Date.now() < this.fastPollUntil ||
+      this.pendingPowerOn;
+    const interval = fast
+      ? FAST_POLL_INTERVAL
+      : Number(this.config.poll_interval) * 1000 || POLL_INTERVAL;
+    this.pollTimer = setTimeout(() => {
+      this.pollTimer = undefined;
+      this.queryState();
+    }, interval);
+  }
+}
+
+class ChristieDHD800Instance extends InstanceBase {
+  constructor(internal) {
+    super(internal);
+    this.projectors = [];
+    this.powerOffArmed = undefined;
+  }
+
+  updateVariableDefinitions() {
+    const variables = [
       { variableId: "power_state", name: "Power State" },
       { variableId: "input_source", name: "Input Source" },
+      { variableId: "input_name", name: "Input Name" },
+      { variableId: "signal_present", name: "Signal Present" },
+      { variableId: "lamp_hours", name: "Lamp Hours (highest lamp)" },
+      { variableId: "lamp1_hours", name: "Lamp 1 Hours" },
+      { variableId: "lamp2_hours", name: "Lamp 2 Hours" },
+      { variableId: "lamp_status", name: "Lamp Status" },
+      { variableId: "lamp_mode", name: "Lamp Mode" },
+      { variableId: "temperature_status", name: "Temperature Status" },
+      { variableId: "temperature_1", name: "Temperature Sensor 1" },
+      { variableId: "temperature_2", name: "Temperature Sensor 2" },
+      { variableId: "temperature_3", name: "Temperature Sensor 3" },
+      { variableId: "temperature_4", name: "Temperature Sensor 4" },
+      { variableId: "shutter_state", name: "Shutter State" },
+      { variableId: "error_detail", name: "Error Detail" },
+      { variableId: "installation", name: "Installation" },
+      { variableId: "ceiling_mode", name: "Ceiling Mode" },
+      { variableId: "rear_mode", name: "Rear Mode" },
+      { variableId: "connection_state", name: "Connection State" },
+      {
+        variableId: "pending_commands",
+        name: "Commands held until warmed up",
+      },
+      { variableId: "last_response", name: "Last query response" },
+    ];
+    const targets = this.getProjectorConfigs();
+    if (targets.length < 2) {
+      this.setVariableDefinitions(variables);
+      return;
+    }
+    // The unsuffixed variables keep following the first projector
+    const perProjector = targets.flatMap((target) =>
+      variables.map(({ variableId, name }) => ({
+        variableId: `${variableId}_${target.id}`,
+        name: `${name} (${target.name})`,
+      })),
+    );
+    this.setVariableDefinitions([
+      ...variables,
+      ...perProjector,
+      { variableId: "last_result", name: "Last multi-projector result" },
     ]);
-    this.updateActions();
-    this.updateFeedbacks();
+  }
 
-    if (this.pollTimer) {
-      clearInterval(this.pollTimer);
-      this.pollTimer = undefined;
+  init(config) {
+    if (NETWORK_DEBUG) {
+      this.log("debug", "Initializing module");
     }
-    this.pollTimer = setInterval(() => this.queryState(), 30000);
+    this.config = config;
+    this.updateVariableDefinitions();
+    this.updateActions();
+    this.updateFeedbacks();
+    this.updatePresets();
+    this.initConnection();
     this.queryState();
   }
 
   async destroy() {
-    if (this.pollTimer) {
-      clearInterval(this.pollTimer);
-      this.pollTimer = undefined;
-    }
-    if (this.socket) {
-      if (NETWORK_DEBUG) {
-        this.log("debug", "Destroying active socket");
-      }
-      this.socket.destroy();
-      delete this.socket;
-    }
+    this.disarmPowerOff();
+    for (const projector of this.projectors) projector.destroy();
+    this.projectors = [];
   }
 
   async configUpdated(config) {
@@ -104,40 +1761,240 @@ class ChristieDHD800Instance extends InstanceBase {
       this.log("debug", "Configuration updated, reinitializing TCP");
     }
     this.config = config;
-    this.setVariableDefinitions([
-      { variableId: "power_state", name: "Power State" },
-      { variableId: "input_source", name: "Input Source" },
-    ]);
-    this.initTCP();
-    if (this.pollTimer) {
-      clearInterval(this.pollTimer);
+    // Projectors may have been added, renamed or removed
+    this.updateVariableDefinitions();
+    this.updateActions();
+    this.updateFeedbacks();
+    this.updatePresets();
+    // New sessions also log in again straight away after a password fix
+    this.initConnection();
+    this.queryState();
+  }
+
+  /**
+   * List the configured projectors as { id, name, config }. The first one
+   * uses the main connection settings; the others are extra network
+   * projectors sharing the polling settings.
+   */
+  getProjectorConfigs() {
+    const config = this.config || {};
+    const targets = [{ name: config.name || "Projector 1", config }];
+    for (let n = 2; n <= MAX_PROJECTORS; n++) {
+      if (!config[`p${n}_enabled`]) continue;
+      targets.push({
+        name: config[`p${n}_name`] || `Projector ${n}`,
+        config: {
+          transport: "tcp",
+          host: config[`p${n}_host`],
+          port: config[`p${n}_port`],
+          password: config[`p${n}_password`],
+          ...Object.fromEntries(SHARED_SETTINGS.map((id) => [id, config[id]])),
+        },
+      });
+    }
+
+    const ids = new Set();
+    for (const [i, target] of targets.entries()) {
+      let id = variableName(target.name) || `p${i + 1}`;
+      if (ids.has(id)) id = `${id}_${i + 1}`;
+      ids.add(id);
+      target.id = id;
+    }
+    return targets;
+  }
+
+  /**
+   * Parse the groups setting, e.g. "blend=left,right; stack=1,2", into
+   * { id, name, members } with members given as projector ids.
+   */
+  getGroups() {
+    const targets = this.getProjectorConfigs();
+    const groups = [];
+    for (const entry of (this.config?.groups || "").split(/[;\n]/)) {
+      const [name, list] = entry.split("=");
+      if (!name?.trim() || !list) continue;
+      const members = list
+        .split(",")
+        .map((member) => variableName(member))
+        .map(
+          (member) =>
+            targets.find(
+              (t) => t.id === member || variableName(t.name) === member,
+            )?.id,
+        )
+        .filter(Boolean);
+      groups.push({ id: variableName(name), name: name.trim(), members });
+    }
+    return groups;
+  }
+
+  /**
+   * Look up a projector by id. Without an id (single projector setups have
+   * no projector option) the first projector is used; an id that no longer
+   * exists, e.g. after renaming a projector, matches none.
+   */
+  getProjector(id) {
+    if (id === undefined) return this.projectors[0];
+    return this.projectors.find((p) => p.id === id);
+  }
+
+  /**
+   * Resolve an action's target option: a projector id, "all" or
+   * "group:<id>". Without one the first projector is used. Unknown
+   * projectors and groups resolve to none, so a button saved for a renamed
+   * or removed projector never controls a different one.
+   */
+  getTargets(target) {
+    if (target === "all") return this.projectors;
+    if (target?.startsWith("group:")) {
+      const group = this.getGroups().find((g) => `group:${g.id}` === target);
+      if (!group) {
+        this.log("error", `Unknown projector group "${target.slice(6)}"`);
+        return [];
+      }
+      return this.projectors.filter((p) => group.members.includes(p.id));
+    }
+    const projector = this.getProjector(target);
+    if (!projector) {
+      if (target !== undefined) {
+        this.log("error", `Unknown projector "${target}"`);
+      }
+      return [];
+    }
+    return [projector];
+  }
+
+  /**
+   * Run an action on each target projector in parallel. `run` resolves to
+   * whether the projector accepted it; with several targets the outcome per
+   * projector is logged and stored in the last_result variable.
+   */
+  async runOnTargets(projectors, name, run) {
+    const results = await Promise.all(projectors.map((p) => run(p)));
+    if (projectors.length < 2) return results[0];
+
+    const summary = projectors
+      .map((p, i) => `${p.label} ${results[i] ? "OK" : "failed"}`)
+      .join(", ");
+    this.log(results.every(Boolean) ? "info" : "warn", `${name}: ${summary}`);
+    this.setVariableValues({ last_result: `${name}: ${summary}` });
+    return results.every(Boolean);
+  }
+
+  /**
+   * In confirm mode the first Power Off press only arms it; a second press
+   * for the same target within the configured time lets it through.
+   */
+  confirmPowerOff(target) {
+    const seconds = Number(this.config?.power_off_confirm) || 0;
+    if (!seconds) return true;
+    const key = target || "";
+    if (this.powerOffArmed?.target === key) {
+      this.disarmPowerOff();
+      return true;
     }
-    this.pollTimer = setInterval(() => this.queryState(), 30000);
-    this.queryState();
+    this.disarmPowerOff();
+    this.powerOffArmed = {
+      target: key,
+      timer: setTimeout(() => this.disarmPowerOff(), seconds * 1000),
+    };
+    this.log("info", `Press Power Off again within ${seconds}s to confirm`);
+    this.checkFeedbacks("power_off_armed");
+    return false;
   }
 
-  initTCP() {
-    if (this.socket) {
-      if (NETWORK_DEBUG) {
-        this.log("debug", "initTCP called, cleaning up existing socket");
-      }
-      this.socket.destroy();
-      delete this.socket;
+  disarmPowerOff() {
+    if (!this.powerOffArmed) return;
+    clearTimeout(this.powerOffArmed.timer);
+    this.powerOffArmed = undefined;
+    this.checkFeedbacks("power_off_armed");
+  }
+
+  // Store a query reply in the custom variable named in an action
+  storeCustomVariable(name, value) {
+    const id = name
+      .trim()
+      .replace(/^\$\(|\)$/g, "")
+      .replace(/^custom:/, "");
+    if (!/^[\w-]+$/.test(id)) {
+      this.log("error", `Invalid custom variable name ${JSON.stringify(name)}`);
+      return;
     }
-    if (NETWORK_DEBUG) {
-      this.log("debug", "TCP state reset");
+    this.setCustomVariableValue(id, value);
+  }
+
+  initConnection() {
+    for (const projector of this.projectors) projector.destroy();
+    const targets = this.getProjectorConfigs();
+    this.projectors = targets.map(
+      (target, i) =>
+        new ProjectorSession(this, target, {
+          primary: i === 0,
+          suffixed: targets.length > 1,
+        }),
+    );
+    for (const projector of this.projectors) projector.initConnection();
+  }
+
+  queryState() {
+    return Promise.all(this.projectors.map((p) => p.queryState()));
+  }
+
+  /**
+   * Report the worst projector status as the module status.
+   */
+  updateProjectorStatus() {
+    if (this.projectors.length === 1) {
+      const [projector] = this.projectors;
+      this.updateStatus(projector.status, projector.statusMessage);
+      return;
     }
-    this.updateStatus("ok");
+    const worst = this.projectors
+      .filter((p) => p.status)
+      .reduce(
+        (a, b) =>
+          STATUS_SEVERITY.indexOf(b.status) > STATUS_SEVERITY.indexOf(a.status)
+            ? b
+            : a,
+        { status: "ok" },
+      );
+    this.updateStatus(
+      worst.status,
+      worst.status === "ok"
+        ? undefined
+        : `${worst.label}: ${worst.statusMessage || worst.status}`,
+    );
   }
 
   getConfigFields() {
     return [
+      {
+        type: "dropdown",
+        id: "transport",
+        label: "Connection",
+        width: 12,
+        default: "tcp",
+        choices: Object.entries(TRANSPORTS).map(([id, label]) => ({
+          id,
+          label,
+        })),
+      },
+      {
+        type: "textinput",
+        id: "name",
+        label: "Projector name",
+        tooltip:
+          "Used in variable names (e.g. power_state_left) when more than one projector is configured",
+        width: 6,
+        default: "",
+      },
       {
         type: "textinput",
         id: "host",
         label: "Projector IP",
         width: 6,
         regex: Regex.HOSTNAME,
+        isVisible: (options) => options.transport !== "serial",
       },
       {
         type: "textinput",
@@ -146,6 +2003,7 @@ class ChristieDHD800Instance extends InstanceBase {
         width: 6,
         regex: Regex.PORT,
         default: 10000,
+        isVisible: (options) => options.transport !== "serial",
       },
       {
         type: "textinput",
@@ -153,60 +2011,378 @@ class ChristieDHD800Instance extends InstanceBase {
         label: "Password",
         width: 6,
         default: "",
+        isVisible: (options) =>
+          !options.transport || options.transport === "tcp",
       },
-    ];
-  }
-
-  updateActions() {
-    const actions = {
-      power_on: {
-        name: "Power On",
-        options: [],
-        callback: () => this.sendCommand("C00"),
+      {
+        type: "textinput",
+        id: "serial_path",
+        label: "Serial device",
+        tooltip: "e.g. /dev/ttyUSB0 or COM3",
+        width: 6,
+        default: "",
+        isVisible: (options) => options.transport === "serial",
       },
-      power_off: {
-        name: "Power Off",
-        options: [],
-        callback: () => this.sendCommand("C01"),
+      {
+        type: "dropdown",
+        id: "baud_rate",
+        label: "Baud rate",
+        width: 6,
+        default: "19200",
+        choices: [
+          { id: "19200", label: "19200" },
+          { id: "9600", label: "9600" },
+        ],
+        isVisible: (options) => options.transport === "serial",
       },
-      power_toggle: {
-        name: "Power Toggle",
-        options: [],
-        callback: () => this.togglePower(),
+      {
+        type: "number",
+        id: "poll_interval",
+        label: "Poll interval (seconds)",
+        tooltip:
+          "Time between status polls while the projector is idle. Polling speeds up automatically while it powers on or off.",
+        width: 6,
+        default: POLL_INTERVAL / 1000,
+        min: 5,
+        max: 3600,
       },
-      input_1: {
-        name: "Select Input 1",
-        options: [],
-        callback: () => this.sendCommand("C05"),
+      {
+        type: "number",
+        id: "missed_polls",
+        label: "Missed polls before offline warning",
+        width: 6,
+        default: MISSED_POLLS,
+        min: 1,
+        max: 20,
       },
-      input_2: {
-        name: "Select Input 2",
-        options: [],
-        callback: () => this.sendCommand("C06"),
+      {
+        type: "number",
+        id: "power_off_confirm",
+        label: "Power Off confirmation (seconds, 0 = off)",
+        tooltip:
+          "Power Off (and Power Toggle while on) needs a second press within this time",
+        width: 6,
+        default: 0,
+        min: 0,
+        max: 30,
       },
-      input_3: {
-        name: "Select Input 3",
-        options: [],
-        callback: () => this.sendCommand("C07"),
+      {
+        type: "checkbox",
+        id: "hold_during_warmup",
+        label: "Hold input and picture commands during warm-up",
+        tooltip:
+          "Commands the projector would ignore while counting down are sent once it reports Power ON",
+        width: 6,
+        default: false,
       },
-      input_4: {
-        name: "Select Input 4",
-        options: [],
-        callback: () => this.sendCommand("C08"),
+      {
+        type: "number",
+        id: "power_cycle_guard",
+        label: "Power cycle guard (seconds, 0 = off)",
+        tooltip:
+          "Refuse to switch the projector back on (or off) this soon after the last power command",
+        width: 6,
+        default: 0,
+        min: 0,
+        max: 3600,
       },
-      menu_on: {
-        name: "Menu On",
-        options: [],
-        callback: () => this.sendCommand("C1C"),
+      ...Object.keys(INPUT_COMMANDS).map((slot) => ({
+        type: "textinput",
+        id: `input_${slot}_name`,
+        label: `Input ${slot} name`,
+        tooltip: "Shown in input choices and the input_name variable",
+        width: 3,
+        default: "",
+      })),
+      ...this.getExtraProjectorFields(),
+      {
+        type: "textinput",
+        id: "groups",
+        label: "Projector groups",
+        tooltip:
+          "Named groups for actions, e.g. blend=left,right; stack=top,bottom",
+        width: 12,
+        default: "",
       },
-      menu_off: {
-        name: "Menu Off",
-        options: [],
-        callback: () => this.sendCommand("C1D"),
+    ];
+  }
+
+  // Settings for the additional network projectors 2..MAX_PROJECTORS
+  getExtraProjectorFields() {
+    const fields = [];
+    for (let n = 2; n <= MAX_PROJECTORS; n++) {
+      // isVisible is serialised by Companion, so it gets the id as data
+      const visibility = {
+        isVisible: (options, data) => !!options[data.enabled],
+        isVisibleData: { enabled: `p${n}_enabled` },
+      };
+      fields.push(
+        {
+          type: "checkbox",
+          id: `p${n}_enabled`,
+          label: `Projector ${n}`,
+          width: 12,
+          default: false,
+        },
+        {
+          type: "textinput",
+          id: `p${n}_name`,
+          label: `Projector ${n} name`,
+          width: 6,
+          default: "",
+          ...visibility,
+        },
+        {
+          type: "textinput",
+          id: `p${n}_host`,
+          label: `Projector ${n} IP`,
+          width: 6,
+          regex: Regex.HOSTNAME,
+          ...visibility,
+        },
+        {
+          type: "textinput",
+          id: `p${n}_port`,
+          label: `Projector ${n} port`,
+          width: 6,
+          regex: Regex.PORT,
+          default: 10000,
+          ...visibility,
+        },
+        {
+          type: "textinput",
+          id: `p${n}_password`,
+          label: `Projector ${n} password`,
+          width: 6,
+          default: "",
+          ...visibility,
+        },
+      );
+    }
+    return fields;
+  }
+
+  /**
+   * Choices for the action target option: each projector, all of them and
+   * every configured group. Undefined with a single projector, where the
+   * option is left out.
+   */
+  getTargetChoices() {
+    const targets = this.getProjectorConfigs();
+    if (targets.length < 2) return undefined;
+    return [
+      ...targets.map((t) => ({ id: t.id, label: t.name })),
+      { id: "all", label: "All projectors" },
+      ...this.getGroups().map((g) => ({
+        id: `group:${g.id}`,
+        label: `Group: ${g.name}`,
+      })),
+    ];
+  }
+
+  /**
+   * Input choices labelled with the configured input names.
+   */
+  getInputChoices() {
+    return Object.keys(INPUT_COMMANDS).map((slot) => {
+      const name = inputName(this.config, slot);
+      return {
+        id: slot,
+        label: name === `Input ${slot}` ? name : `${slot}: ${name}`,
+      };
+    });
+  }
+
+  updateActions() {
+    this.setActionDefinitions(this.getActionDefinitions());
+  }
+
+  getActionDefinitions() {
+    const choices = this.getTargetChoices();
+    const targetOption = choices && {
+      type: "dropdown",
+      id: "target",
+      label: "Projector",
+      default: choices[0].id,
+      choices,
+    };
+    // Every action runs on the projector(s) picked in its target option.
+    // `confirmOff` says whether the press would switch projectors off.
+    const action = (name, run, options = [], confirmOff) => ({
+      name,
+      options: targetOption ? [targetOption, ...options] : options,
+      callback: (event, context) => {
+        const { target } = event.options;
+        const projectors = this.getTargets(target);
+        if (projectors.length === 0) return false;
+        if (confirmOff?.(projectors) && !this.confirmPowerOff(target)) {
+          return;
+        }
+        return this.runOnTargets(projectors, name, (projector) =>
+          run(projector, event.options, context),
+        );
       },
+    });
+
+    // Inputs the Next / Previous Input actions step through
+    const inputCycleOption = {
+      type: "multidropdown",
+      id: "inputs",
+      label: "Cycle through",
+      default: Object.keys(INPUT_COMMANDS),
+      choices: this.getInputChoices(),
+      minSelection: 1,
+    };
+
+    const actions = {
+      power_on: action("Power On", (p) => p.powerOn()),
+      power_off: action(
+        "Power Off",
+        (p) => p.powerOff(),
+        [],
+        () => true,
+      ),
+      power_toggle: action(
+        "Power Toggle",
+        (p) => p.togglePower(),
+        [],
+        (ps) => ps.some((p) => p.powerState === "00"),
+      ),
+      select_input: action(
+        "Select Input",
+        async (p, options, context) =>
+          p.selectInput(
+            options.input === "variable"
+              ? await context.parseVariablesInString(options.input_text || "")
+              : options.input,
+          ),
+        [
+          {
+            type: "dropdown",
+            id: "input",
+            label: "Input",
+            default: "1",
+            choices: [
+              ...this.getInputChoices(),
+              { id: "variable", label: "From variable / text" },
+            ],
+          },
+          {
+            type: "textinput",
+            id: "input_text",
+            label: "Input number or name",
+            default: "",
+            useVariables: true,
+            isVisible: (options) => options.input === "variable",
+          },
+        ],
+      ),
+      input_next: action(
+        "Next Input",
+        (p, options) => p.cycleInput(1, options.inputs),
+        [inputCycleOption],
+      ),
+      input_previous: action(
+        "Previous Input",
+        (p, options) => p.cycleInput(-1, options.inputs),
+        [inputCycleOption],
+      ),
+      send_raw: action(
+        "Send raw command",
+        async (p, options, context) =>
+          p.sendRaw(await context.parseVariablesInString(options.command)),
+        [
+          {
+            type: "textinput",
+            id: "command",
+            label: "Command (e.g. C43, or CR3 for a status read)",
+            default: "",
+            useVariables: true,
+          },
+        ],
+      ),
+      run_query: action(
+        "Run query",
+        async (p, options, context) => {
+          const reply = await p.runQuery(
+            await context.parseVariablesInString(options.command),
+          );
+          if (reply === undefined) return false;
+          if (options.variable) {
+            this.storeCustomVariable(options.variable, reply);
+          }
+          return true;
+        },
+        [
+          {
+            type: "textinput",
+            id: "command",
+            label: "Status read (e.g. CR3)",
+            default: "CR0",
+            useVariables: true,
+          },
+          {
+            type: "textinput",
+            id: "variable",
+            label: "Custom variable for the reply (optional)",
+            tooltip: "Name of a custom variable; last_response is always set",
+            default: "",
+          },
+        ],
+      ),
+      // The basic command set only has the remote's IMAGE key, which steps
+      // through the picture modes; there is no direct mode select or
+      // brightness/contrast/colour/tint/sharpness adjustment, and no read.
+      image: action("Image (next picture mode)", (p) => p.sendCommand("C27")),
+      menu_on: action("Menu On", (p) => p.sendCommand("C1C")),
+      menu_off: action("Menu Off", (p) => p.sendCommand("C1D")),
+      shutter_close: action("Shutter Close (Video Mute On)", (p) =>
+        p.setShutter("closed"),
+      ),
+      shutter_open: action("Shutter Open (Video Mute Off)", (p) =>
+        p.setShutter("open"),
+      ),
+      shutter_toggle: action("Shutter Toggle (Video Mute)", (p) =>
+        p.toggleShutter(),
+      ),
     };
 
-    this.setActionDefinitions(actions);
+    for (const [id, menu] of Object.entries(MENU_COMMANDS)) {
+      actions[id] = action(menu.name, (p) => p.runCommand(menu.cmd));
+    }
+
+    for (const [id, screen] of Object.entries(SCREEN_COMMANDS)) {
+      actions[id] = action(screen.name, (p) => p.runCommand(screen.cmd));
+    }
+
+    for (const [id, keystone] of Object.entries(KEYSTONE_COMMANDS)) {
+      actions[id] = action(keystone.name, (p) => p.stepKeystone(id));
+    }
+    actions.keystone_reset = action("Keystone Reset (undo module steps)", (p) =>
+      p.resetKeystone(),
+    );
+
+    for (const [id, lens] of Object.entries(LENS_COMMANDS)) {
+      actions[id] = action(
+        lens.name,
+        (p, options) => p.lensControl(lens.cmd, options.mode),
+        [
+          {
+            type: "dropdown",
+            id: "mode",
+            label: "Mode",
+            default: "step",
+            choices: [
+              { id: "step", label: "Single step" },
+              { id: "start", label: "Start moving (on press)" },
+              { id: "stop", label: "Stop moving (on release)" },
+            ],
+          },
+        ],
+      );
+    }
+
+    return actions;
   }
 
   updateFeedbacks() {
@@ -230,7 +2406,68 @@ class ChristieDHD800Instance extends InstanceBase {
           },
         ],
         defaultStyle: { bgcolor: combineRgb(0, 255, 0) },
-        callback: (fb) => this.powerState === fb.options.state,
+        check: (p, options) => p.powerState === options.state,
+      },
+      power_state_style: {
+        type: "advanced",
+        name: "Power State (colour per state)",
+        options: Object.entries(POWER_STYLE_DEFAULTS).flatMap(
+          ([state, color]) => [
+            {
+              type: "colorpicker",
+              id: `bg_${state}`,
+              label: `${POWER_STATE_LABELS[state]}: background`,
+              default: color,
+            },
+            {
+              type: "textinput",
+              id: `text_${state}`,
+              label: `${POWER_STATE_LABELS[state]}: text (blank to keep)`,
+              default: "",
+            },
+          ],
+        ),
+        check: (p, options) => {
+          const state = FAULT_SHUTDOWN_STATES.has(p.powerState)
+            ? "10"
+            : POWER_STATE_GROUPS[p.powerState] || p.powerState;
+          if (!(state in POWER_STYLE_DEFAULTS)) return {};
+          const style = { bgcolor: options[`bg_${state}`] };
+          if (options[`text_${state}`]) {
+            style.text = options[`text_${state}`];
+          }
+          return style;
+        },
+      },
+      projector_offline: {
+        type: "boolean",
+        name: "Projector offline",
+        options: [],
+        defaultStyle: {
+          bgcolor: combineRgb(204, 0, 0),
+          color: combineRgb(255, 255, 255),
+        },
+        check: (p) =>
+          p.connectionState !== undefined &&
+          p.connectionState !== "ok" &&
+          p.connectionState !== "connecting",
+      },
+      power_off_armed: {
+        type: "boolean",
+        name: "Power Off waiting for confirmation",
+        options: [],
+        defaultStyle: {
+          bgcolor: combineRgb(204, 0, 0),
+          color: combineRgb(255, 255, 255),
+        },
+        check: () => this.powerOffArmed !== undefined,
+      },
+      power_transitioning: {
+        type: "boolean",
+        name: "Power transitioning (countdown or cooling)",
+        options: [],
+        defaultStyle: { bgcolor: combineRgb(255, 160, 0) },
+        check: (p) => TRANSITION_STATES.has(p.powerState),
       },
       input_source: {
         type: "boolean",
@@ -242,207 +2479,354 @@ class ChristieDHD800Instance extends InstanceBase {
             label: "Input",
             default: "1",
             choices: [
-              { id: "1", label: "Input 1" },
-              { id: "2", label: "Input 2" },
-              { id: "3", label: "Input 3" },
-              { id: "4", label: "Input 4" },
+              ...this.getInputChoices(),
+              { id: "name", label: "By name" },
             ],
           },
+          {
+            type: "textinput",
+            id: "name",
+            label: "Input name",
+            default: "",
+            isVisible: (options) => options.slot === "name",
+          },
         ],
         defaultStyle: { bgcolor: combineRgb(0, 0, 255) },
-        callback: (fb) => this.inputState === fb.options.slot,
+        check: (p, options) =>
+          options.slot === "name"
+            ? p.inputState !== undefined &&
+              findInput(p.config, options.name) === p.inputState
+            : p.inputState === options.slot,
+      },
+      no_signal: {
+        type: "boolean",
+        name: "No signal on active input",
+        options: [],
+        defaultStyle: {
+          bgcolor: combineRgb(255, 0, 0),
+          color: combineRgb(255, 255, 255),
+        },
+        check: (p) => NO_SIGNAL_STATES.has(p.powerState),
+      },
+      shutter_state: {
+        type: "boolean",
+        name: "Shutter State",
+        options: [
+          {
+            type: "dropdown",
+            id: "state",
+            label: "State",
+            default: "closed",
+            choices: [
+              { id: "closed", label: "Closed (video muted)" },
+              { id: "open", label: "Open" },
+            ],
+          },
+        ],
+        defaultStyle: { bgcolor: combineRgb(255, 0, 0) },
+        check: (p, options) => p.shutterState === options.state,
+      },
+      lamp_hours_above: {
+        type: "boolean",
+        name: "Lamp hours above threshold",
+        options: [
+          {
+            type: "number",
+            id: "hours",
+            label: "Hour limit",
+            default: 2000,
+            min: 0,
+            max: 100000,
+          },
+        ],
+        defaultStyle: { bgcolor: combineRgb(255, 128, 0) },
+        check: (p, options) => p.lampHours.some((h) => h > options.hours),
+      },
+      lamp_mode: {
+        type: "boolean",
+        name: "Lamp Mode",
+        options: [
+          {
+            type: "dropdown",
+            id: "mode",
+            label: "Mode",
+            default: "0",
+            choices: Object.entries(LAMP_MODE_LABELS).map(([id, label]) => ({
+              id,
+              label,
+            })),
+          },
+        ],
+        defaultStyle: { bgcolor: combineRgb(0, 153, 0) },
+        check: (p, options) => p.lampMode === options.mode,
+      },
+      temperature_above: {
+        type: "boolean",
+        name: "Temperature above limit",
+        options: [
+          {
+            type: "number",
+            id: "limit",
+            label: "Limit (°C)",
+            default: 45,
+            min: -20,
+            max: 100,
+          },
+        ],
+        defaultStyle: {
+          bgcolor: combineRgb(255, 0, 0),
+          color: combineRgb(255, 255, 255),
+        },
+        check: (p, options) =>
+          p.getTemperatureState() === "over" ||
+          p.temperatures.some((t) => t !== null && t > options.limit),
+      },
+      installation: {
+        type: "boolean",
+        name: "Installation setting",
+        options: [
+          {
+            type: "dropdown",
+            id: "state",
+            label: "Setting",
+            default: "front",
+            choices: Object.values(INSTALLATION_STATES).map(
+              ({ id, label }) => ({ id, label }),
+            ),
+          },
+        ],
+        defaultStyle: { bgcolor: combineRgb(0, 153, 0) },
+        check: (p, options) =>
+          INSTALLATION_STATES[p.installationState]?.id === options.state,
       },
     };
 
-    this.setFeedbackDefinitions(feedbacks);
-  }
-
-  async executeAction(action) {
-    switch (action.action) {
-      case "power_on":
-        this.sendCommand("C00");
-        break;
-      case "power_off":
-        this.sendCommand("C01");
-        break;
-      case "power_toggle":
-        this.togglePower();
-        break;
-      case "input_1":
-        this.sendCommand("C05");
-        break;
-      case "input_2":
-        this.sendCommand("C06");
-        break;
-      case "input_3":
-        this.sendCommand("C07");
-        break;
-      case "input_4":
-        this.sendCommand("C08");
-        break;
-      case "menu_on":
-        this.sendCommand("C1C");
-        break;
-      case "menu_off":
-        this.sendCommand("C1D");
-        break;
-    }
-  }
-
-  togglePower() {
-    if (!this.config?.host) {
-      this.log("error", "Host not configured");
-      return;
+    const targets = this.getProjectorConfigs();
+    const projectorOption = targets.length > 1 && {
+      type: "dropdown",
+      id: "projector",
+      label: "Projector",
+      default: targets[0].id,
+      choices: targets.map((t) => ({ id: t.id, label: t.name })),
+    };
+    // Each feedback checks the state of the projector picked in its options
+    const definitions = {};
+    for (const [id, { check, ...feedback }] of Object.entries(feedbacks)) {
+      definitions[id] = {
+        ...feedback,
+        options: projectorOption
+          ? [projectorOption, ...feedback.options]
+          : feedback.options,
+        callback: (fb) => {
+          const projector = this.getProjector(fb.options.projector);
+          if (projector) return check(projector, fb.options);
+          return feedback.type === "advanced" ? {} : false;
+        },
+      };
     }
+    this.setFeedbackDefinitions(definitions);
+  }
 
-    const sock = new TCPHelper(this.config.host, this.config.port || 10000, {
-      reconnect: false,
-    });
+  updatePresets() {
+    const presets = {};
+    const amber = combineRgb(255, 160, 0);
+    const red = combineRgb(204, 0, 0);
+    const blue = combineRgb(0, 0, 204);
 
-    let passwordSent = false;
-    let helloReceived = false;
-    const pass = this.config.password || "";
-
-    const process = (str) => {
-      if (!passwordSent && /PASSWORD:/i.test(str)) {
-        sock.send(pass + "\r");
-        passwordSent = true;
-      } else if (passwordSent && !helloReceived && /HELLO/i.test(str)) {
-        helloReceived = true;
-        sock.send("CR1\r");
-      } else if (helloReceived) {
-        const match = str.match(/([0-9A-F]{2})/i);
-        if (match) {
-          const state = match[1];
-          sock.destroy();
-          this.powerState = state;
-          let cmd = null;
-          if (state === "00") cmd = "C01";
-          else if (state === "80") cmd = "C00";
-          else if (state === "10") cmd = "C01";
-          if (cmd) this.sendCommand(cmd);
-        }
-      }
+    // Green when on, amber while counting down or cooling, red on failure
+    const powerOptions = {};
+    for (const [state, color] of Object.entries(POWER_STYLE_DEFAULTS)) {
+      powerOptions[`bg_${state}`] = color;
+      powerOptions[`text_${state}`] = "";
+    }
+    const powerFeedbacks = [
+      { feedbackId: "power_state_style", options: powerOptions },
+    ];
+    // Power Off and Toggle flash a prompt while waiting for confirmation
+    const confirmFeedback = {
+      feedbackId: "power_off_armed",
+      options: {},
+      style: { bgcolor: red, text: "CONFIRM\\nOFF" },
     };
+    for (const [actionId, name, text, confirm] of [
+      ["power_on", "Power On", "POWER\\nON", false],
+      ["power_off", "Power Off", "POWER\\nOFF", true],
+      ["power_toggle", "Power Toggle", "POWER", true],
+    ]) {
+      presets[actionId] = {
+        ...buttonPreset("Power", name, text, actionId),
+        feedbacks: confirm
+          ? [...powerFeedbacks, confirmFeedback]
+          : powerFeedbacks,
+      };
+    }
 
-    sock.on("data", (d) => process(d.toString()));
-    sock.on("error", () => {});
-  }
+    for (const slot of Object.keys(INPUT_COMMANDS)) {
+      const name = inputName(this.config, slot);
+      presets[`input_${slot}`] = {
+        ...buttonPreset(
+          "Inputs",
+          `Select ${name}`,
+          name === `Input ${slot}` ? `INPUT\\n${slot}` : name,
+          "select_input",
+          { input: slot },
+        ),
+        feedbacks: [
+          {
+            feedbackId: "input_source",
+            options: { slot },
+            style: { bgcolor: blue },
+          },
+        ],
+      };
+    }
 
-  sendCommand(cmd) {
-    if (NETWORK_DEBUG) {
-      this.log("debug", `sendCommand called with cmd='${cmd}'`);
+    for (const [actionId, name, text] of [
+      ["input_previous", "Previous Input", "SOURCE\\n◄"],
+      ["input_next", "Next Input", "SOURCE\\n►"],
+    ]) {
+      presets[actionId] = buttonPreset("Inputs", name, text, actionId, {
+        inputs: Object.keys(INPUT_COMMANDS),
+      });
     }
-    if (!this.config.host) {
-      this.log("error", "Host not configured");
-      return;
+
+    const shutterClosed = [
+      {
+        feedbackId: "shutter_state",
+        options: { state: "closed" },
+        style: { bgcolor: red },
+      },
+    ];
+    for (const [actionId, name, text] of [
+      ["shutter_close", "Shutter Close", "SHUTTER\\nCLOSE"],
+      ["shutter_open", "Shutter Open", "SHUTTER\\nOPEN"],
+      ["shutter_toggle", "Shutter Toggle", "SHUTTER"],
+    ]) {
+      presets[actionId] = {
+        ...buttonPreset("Shutter", name, text, actionId),
+        feedbacks: shutterClosed,
+      };
     }
 
-    if (this.socket) {
-      if (NETWORK_DEBUG) {
-        this.log(
-          "debug",
-          "Existing socket detected, destroying old connection",
-        );
-      }
-      this.socket.destroy();
-      this.socket = undefined;
+    const status = [
+      ["power_state", "Power", powerFeedbacks],
+      ["input_source", "Input", []],
+      [
+        "lamp_hours",
+        "Lamp Hours",
+        [
+          {
+            feedbackId: "lamp_hours_above",
+            options: { hours: 2000 },
+            style: { bgcolor: amber },
+          },
+        ],
+      ],
+      [
+        "temperature_status",
+        "Temperature",
+        [
+          {
+            feedbackId: "temperature_above",
+            options: { limit: 45 },
+            style: { bgcolor: red },
+          },
+        ],
+      ],
+      ["shutter_state", "Shutter", shutterClosed],
+      ["installation", "Install", []],
+    ];
+    for (const [variable, label, feedbacks] of status) {
+      presets[`status_${variable}`] = {
+        type: "button",
+        category: "Status",
+        name: `${label} status`,
+        style: {
+          text: `${label}\\n$(${this.label}:${variable})`,
+          size: "14",
+          color: combineRgb(255, 255, 255),
+          bgcolor: combineRgb(0, 0, 0),
+        },
+        steps: [{ down: [], up: [] }],
+        feedbacks,
+      };
     }
 
-    if (NETWORK_DEBUG) {
-      this.log(
-        "debug",
-        `Creating TCP connection to ${this.config.host}:${this.config.port || 10000}`,
+    // Ordered row by row like the menu keys on the physical remote
+    const remote = [
+      ["menu_on", "Menu On", "MENU"],
+      ["menu_up", "Menu Up", "▲"],
+      ["menu_off", "Menu Off", "MENU\\nOFF"],
+      ["menu_left", "Menu Left", "◄"],
+      ["menu_enter", "Menu Enter", "ENTER"],
+      ["menu_right", "Menu Right", "►"],
+      ["display_clear", "Clear Display", "CLEAR"],
+      ["menu_down", "Menu Down", "▼"],
+      ["image", "Image", "IMAGE"],
+    ];
+    for (const [actionId, name, text] of remote) {
+      presets[`remote_${actionId}`] = buttonPreset(
+        "Remote",
+        name,
+        text,
+        actionId,
       );
     }
-    this.socket = new TCPHelper(this.config.host, this.config.port || 10000);
-
-    this.socket.on("status_change", (status, message) => {
-      if (NETWORK_DEBUG) {
-        this.log("debug", `Status changed: ${status} ${message}`);
-      }
-      this.updateStatus(status, message);
-    });
-
-    this.socket.on("error", (err) => {
-      this.log("error", `Network error: ${err.message}`);
-      if (NETWORK_DEBUG) {
-        this.log("debug", `Error details: ${JSON.stringify(err)}`);
-      }
-    });
-
-    let passwordSent = false;
-    let commandSent = false;
-    const pass = this.config.password || "";
 
-    this.socket.on("data", (data) => {
-      const str = data.toString();
-      if (NETWORK_DEBUG) {
-        this.log("debug", `Received data: ${str}`);
-      }
+    const geometry = [
+      ["screen_normal", "Screen Normal Size", "SCREEN\\nNORMAL"],
+      ["screen_full", "Screen Full Size", "SCREEN\\nFULL"],
+      ["dzoom_in", "Digital Zoom +", "D.ZOOM\\n+"],
+      ["dzoom_out", "Digital Zoom -", "D.ZOOM\\n-"],
+      ["keystone_up", "Keystone Up", "KEY\\n▲"],
+      ["keystone_down", "Keystone Down", "KEY\\n▼"],
+      ["keystone_left", "Keystone Left", "KEY\\n◄"],
+      ["keystone_right", "Keystone Right", "KEY\\n►"],
+      ["keystone_reset", "Keystone Reset", "KEY\\nRESET"],
+    ];
+    for (const [actionId, name, text] of geometry) {
+      presets[`geometry_${actionId}`] = buttonPreset(
+        "Geometry",
+        name,
+        text,
+        actionId,
+      );
+    }
 
-      if (!passwordSent && /PASSWORD:/i.test(str)) {
-        if (NETWORK_DEBUG) {
-          this.log("debug", `Sending password: '${pass}'`);
-        }
-        this.socket.send(pass + "\r");
-        passwordSent = true;
-      } else if (passwordSent && !commandSent && /HELLO/i.test(str)) {
-        if (NETWORK_DEBUG) {
-          this.log("debug", `Sending command: '${cmd}'`);
-        }
-        this.socket.send(cmd + "\r");
-        commandSent = true;
-        setTimeout(() => {
-          this.requestState(this.socket);
-        }, 200);
-        setTimeout(() => {
-          if (NETWORK_DEBUG) {
-            this.log("debug", "Command sent, destroying socket");
-          }
-          this.socket.destroy();
-          if (NETWORK_DEBUG) {
-            this.log("debug", "Socket destroyed");
-          }
-          this.socket = undefined;
-        }, 1000);
+    // One button per power action for the whole rig
+    if (this.getProjectorConfigs().length > 1) {
+      for (const [actionId, name, text] of [
+        ["power_on", "Power All On", "ALL\\nON"],
+        ["power_off", "Power All Off", "ALL\\nOFF"],
+        ["shutter_close", "Shutter All Close", "ALL\\nSHUTTER"],
+        ["shutter_open", "Shutter All Open", "ALL\\nOPEN"],
+      ]) {
+        presets[`all_${actionId}`] = buttonPreset(
+          "All projectors",
+          name,
+          text,
+          actionId,
+          { target: "all" },
+        );
       }
-    });
+    }
 
-    this.socket.on("connect", () => {
-      if (NETWORK_DEBUG) {
-        this.log("debug", "Socket connected");
-      }
-      // Wait for PASSWORD: prompt before sending anything
-    });
+    this.setPresetDefinitions(presets);
   }
 
-  queryState() {
-    if (!this.config?.host) return;
-
-    const sock = new TCPHelper(this.config.host, this.config.port || 10000, {
-      reconnect: false,
+  /**
+   * Legacy entry point: run the action definition for `action.action`,
+   * accepting the old per-input action ids.
+   */
+  async executeAction(action) {
+    const slot = /^input_([1-4])$/.exec(action.action)?.[1];
+    const actionId = slot ? "select_input" : action.action;
+    const options = slot ? { input: slot } : action.options || {};
+    return this.getActionDefinitions()[actionId]?.callback({
+      actionId,
+      options,
     });
-
-    let passwordSent = false;
-    let helloReceived = false;
-    const pass = this.config.password || "";
-
-    const processData = (str) => {
-      if (!passwordSent && /PASSWORD:/i.test(str)) {
-        sock.send(pass + "\r");
-        passwordSent = true;
-      } else if (passwordSent && !helloReceived && /HELLO/i.test(str)) {
-        helloReceived = true;
-        this.requestState(sock, () => sock.destroy());
-      } else if (helloReceived) {
-        // waiting for state responses handled in requestState
-      }
-    };
-
-    sock.on("data", (d) => processData(d.toString()));
-    sock.on("error", () => {});
   }
 }
 
-runEntrypoint(ChristieDHD800Instance);
+runEntrypoint(ChristieDHD800Instance, UPGRADE_SCRIPTS);